@@ -51,10 +51,30 @@ if [ -z "$BOT_TOKEN" ]; then
     exit 1
 fi
 
-if [ -z "$OPENAI_API_KEY" ]; then
-    print_error "OPENAI_API_KEY is not set in .env file"
-    exit 1
-fi
+case "${AI_PROVIDER:-openai}" in
+    openai)
+        if [ -z "$OPENAI_API_KEY" ]; then
+            print_error "OPENAI_API_KEY is not set in .env file"
+            exit 1
+        fi
+        ;;
+    openai-compatible)
+        if [ -z "$OPENAI_COMPATIBLE_BASE_URL" ] || [ -z "$OPENAI_COMPATIBLE_MODEL" ]; then
+            print_error "OPENAI_COMPATIBLE_BASE_URL and OPENAI_COMPATIBLE_MODEL must be set in .env file"
+            exit 1
+        fi
+        ;;
+    anthropic)
+        if [ -z "$ANTHROPIC_API_KEY" ]; then
+            print_error "ANTHROPIC_API_KEY is not set in .env file"
+            exit 1
+        fi
+        ;;
+    *)
+        print_error "Unknown AI_PROVIDER: $AI_PROVIDER"
+        exit 1
+        ;;
+esac
 
 print_success "Environment variables are properly configured"
 
@@ -111,24 +131,14 @@ else
     exit 1
 fi
 
-# Run database migrations
+# Run database migrations (the bot also applies pending ones on startup)
 print_status "Running database migrations..."
-docker-compose exec telegram-bot node migrations/init.js
-
-if [ $? -eq 0 ]; then
-    print_success "Database initialized successfully"
-else
-    print_warning "Database initialization failed or already exists"
-fi
-
-# Run timezone migration
-print_status "Running timezone migration..."
-docker-compose exec telegram-bot node migrations/add_timezone_column.js
+docker-compose exec telegram-bot node migrations/migrate.js
 
 if [ $? -eq 0 ]; then
-    print_success "Timezone migration completed"
+    print_success "Database migrations completed"
 else
-    print_warning "Timezone migration failed or already exists"
+    print_warning "Database migrations failed, check the output above"
 fi
 
 # Show logs
@@ -2,8 +2,10 @@ require('dotenv').config();
 const TelegramBot = require('node-telegram-bot-api');
 const Database = require('./src/database');
 const MessageHandler = require('./src/messageHandler');
+const MessageBuffer = require('./src/messageBuffer');
 const CommandHandler = require('./src/commandHandler');
 const Scheduler = require('./src/scheduler');
+const BackupService = require('./src/backupService');
 const logger = require('./src/logger');
 const summaryService = require('./src/summaryService');
 
@@ -16,10 +18,12 @@ class TelegramSummaryBot {
     
     this.bot = new TelegramBot(this.token, { polling: true });
     this.db = new Database();
-    this.summaryService = new summaryService();
-    this.messageHandler = new MessageHandler(this.db);
-    this.commandHandler = new CommandHandler(this.db, this.summaryService);
-    this.scheduler = new Scheduler(this.db, this.bot);
+    this.summaryService = new summaryService({ chunkCache: this.db });
+    this.messageBuffer = new MessageBuffer(this.db);
+    this.messageHandler = new MessageHandler(this.db, this.messageBuffer);
+    this.backupService = new BackupService(this.db);
+    this.commandHandler = new CommandHandler(this.db, this.summaryService, this.messageBuffer, this.backupService);
+    this.scheduler = new Scheduler(this.db, this.bot, this.summaryService);
     this.setupErrorHandling();
     this.setupGracefulShutdown();
   }
@@ -40,11 +44,21 @@ class TelegramSummaryBot {
   }
 
   setupGracefulShutdown() {
-    const shutdown = () => {
+    const shutdown = async () => {
       logger.info('Shutting down gracefully...');
       if (this.scheduler) {
         this.scheduler.stop();
       }
+      if (this.backupService) {
+        this.backupService.stop();
+      }
+      if (this.messageBuffer) {
+        try {
+          await this.messageBuffer.stop();
+        } catch (error) {
+          logger.error('Error flushing message buffer on shutdown:', error);
+        }
+      }
       if (this.db) {
         this.db.close();
       }
@@ -59,28 +73,47 @@ class TelegramSummaryBot {
     try {
       await this.db.init();
       logger.info('Database initialized successfully');
+
+      this.messageBuffer.start();
       
       this.scheduler.start();
       logger.info('Scheduler service started');
+
+      this.backupService.start();
       
-      logger.info('Using AI provider: OPENAI');
+      logger.info(`Using AI provider: ${this.summaryService.provider.describe()}`);
       
       const me = await this.bot.getMe();
       logger.info(`Bot started successfully: @${me.username}`);
       
       console.log(`🤖 Bot @${me.username} is running...`);
-      console.log(`🧠 AI Provider: OPENAI`);
+      console.log(`🧠 AI Provider: ${this.summaryService.provider.describe()}`);
       console.log('Available commands:');
       console.log('  /start - Welcome message');
       console.log('  /help - Show help');
       console.log('  /summary [period] - Generate summary');
+      console.log('  /summary channel [@channel] [period] - Summarize a channel');
+      console.log('  /history - Re-open recent summaries');
       console.log('  /export [period] - Export chat history to text file');
+      console.log('  /settings - Show and change chat settings with buttons');
+      console.log('  /model [name] - Choose the AI model for this chat');
+      console.log('  /style [name] - Set the default summary style');
+      console.log('  /prompt [set|reset|preview] - Custom summary instructions');
       console.log('  /language [code] - Set summary language');
       console.log('  /length [number] - Set summary detail level');
       console.log('  /timezone [code] - Set timezone for date formatting');
       console.log('  /schedule [option] - Set automatic summaries');
+      console.log('  /retention [period] - Delete messages older than a period');
+      console.log('  /links [period] [domain] - List shared links');
+      console.log('  /search <terms> [period] [@user] - Search chat history');
+      console.log('  /todo [period|list|done <n>] [@user] - Track action items');
+      console.log('  /ask <question> [period] - Answer a question from the chat history');
       console.log('  /stats - Show chat statistics');
       console.log('  /clear - Clear chat history');
+      console.log('  /import - Import history from a Telegram Desktop export');
+      console.log('  /optout - Stop storing your messages in this chat');
+      console.log('  /optin - Allow storing your messages again');
+      console.log('  /backup - Back up the database now (bot owner only)');
       console.log('\n📝 Logs are saved to ./logs/ directory');
       console.log('⏰ Scheduler checks for pending summaries every 5 minutes');
       
@@ -92,7 +125,7 @@ class TelegramSummaryBot {
   }
 
   setupHandlers() {
-    // Handle all text messages for storage
+    // Handle all messages for storage
     this.bot.on('message', async (msg) => {
       try {
         await this.messageHandler.handleMessage(msg);
@@ -101,6 +134,41 @@ class TelegramSummaryBot {
       }
     });
 
+    // Keep stored text in sync when messages are edited
+    this.bot.on('edited_message', async (msg) => {
+      try {
+        await this.messageHandler.handleEditedMessage(msg);
+      } catch (error) {
+        logger.error('Error handling edited message:', error);
+      }
+    });
+
+    // Broadcast channels deliver posts as channel_post instead of message
+    this.bot.on('channel_post', async (msg) => {
+      try {
+        await this.messageHandler.handleMessage(msg);
+      } catch (error) {
+        logger.error('Error handling channel post:', error);
+      }
+    });
+
+    this.bot.on('edited_channel_post', async (msg) => {
+      try {
+        await this.messageHandler.handleEditedMessage(msg);
+      } catch (error) {
+        logger.error('Error handling edited channel post:', error);
+      }
+    });
+
+    // Poll results change after the poll message itself was stored
+    this.bot.on('poll', async (poll) => {
+      try {
+        await this.messageHandler.handlePollUpdate(poll);
+      } catch (error) {
+        logger.error('Error handling poll update:', error);
+      }
+    });
+
     // Command handlers
     this.bot.onText(/\/start/, (msg) => {
       this.commandHandler.handleStart(this.bot, msg);
@@ -132,6 +200,70 @@ class TelegramSummaryBot {
       }
     });
 
+    this.bot.onText(/\/links(?:\s+(.+))?/, async (msg, match) => {
+      try {
+        await this.commandHandler.handleLinks(this.bot, msg, match[1]);
+      } catch (error) {
+        logger.error('Error handling links command:', error);
+        const settings = await this.commandHandler.db.getChatSettings(msg.chat.id);
+        const t = this.commandHandler.getTranslations(settings.language);
+        this.bot.sendMessage(msg.chat.id, t.errorLinks);
+      }
+    });
+
+    this.bot.onText(/^\/search(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+      try {
+        await this.commandHandler.handleSearch(this.bot, msg, match[1]);
+      } catch (error) {
+        logger.error('Error handling search command:', error);
+        const settings = await this.commandHandler.db.getChatSettings(msg.chat.id);
+        const t = this.commandHandler.getTranslations(settings.language);
+        this.bot.sendMessage(msg.chat.id, t.errorSearch);
+      }
+    });
+
+    this.bot.onText(/^\/ask(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+      try {
+        await this.commandHandler.handleAsk(this.bot, msg, match[1]);
+      } catch (error) {
+        logger.error('Error handling ask command:', error);
+        const settings = await this.commandHandler.db.getChatSettings(msg.chat.id);
+        const t = this.commandHandler.getTranslations(settings.language);
+        this.bot.sendMessage(msg.chat.id, t.errorAsk);
+      }
+    });
+
+    this.bot.onText(/^\/todo(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+      try {
+        await this.commandHandler.handleTodo(this.bot, msg, match[1]);
+      } catch (error) {
+        logger.error('Error handling todo command:', error);
+        const settings = await this.commandHandler.db.getChatSettings(msg.chat.id);
+        const t = this.commandHandler.getTranslations(settings.language);
+        this.bot.sendMessage(msg.chat.id, t.errorTodo);
+      }
+    });
+
+    // Inline keyboard buttons (e.g. "more results" under /search)
+    this.bot.on('callback_query', async (query) => {
+      try {
+        await this.commandHandler.handleCallbackQuery(this.bot, query);
+      } catch (error) {
+        logger.error('Error handling callback query:', error);
+      }
+    });
+
+    this.bot.onText(/^\/history(?:@\w+)?(?:\s|$)/, async (msg) => {
+      try {
+        await this.commandHandler.handleHistory(this.bot, msg);
+      } catch (error) {
+        logger.error('Error handling history command:', error);
+        const settings = await this.commandHandler.db.getChatSettings(msg.chat.id);
+        const t = this.commandHandler.getTranslations(settings.language);
+        this.bot.sendMessage(msg.chat.id, t.errorHistory);
+      }
+    });
+
     this.bot.onText(/\/stats/, async (msg) => {
       try {
         await this.commandHandler.handleStats(this.bot, msg);
@@ -154,6 +286,93 @@ class TelegramSummaryBot {
       }
     });
 
+    // /import either as the caption of result.json or as a reply to it
+    const handleImport = async (msg) => {
+      try {
+        await this.commandHandler.handleImport(this.bot, msg);
+      } catch (error) {
+        logger.error('Error handling import command:', error);
+        const settings = await this.commandHandler.db.getChatSettings(msg.chat.id);
+        const t = this.commandHandler.getTranslations(settings.language);
+        this.bot.sendMessage(msg.chat.id, t.errorImport);
+      }
+    };
+
+    this.bot.onText(/\/import/, handleImport);
+
+    this.bot.on('document', (msg) => {
+      if (msg.caption && /^\/import/.test(msg.caption)) {
+        handleImport(msg);
+      }
+    });
+
+    this.bot.onText(/\/optout/, async (msg) => {
+      try {
+        await this.commandHandler.handleOptOut(this.bot, msg);
+      } catch (error) {
+        logger.error('Error handling optout command:', error);
+        const settings = await this.commandHandler.db.getChatSettings(msg.chat.id);
+        const t = this.commandHandler.getTranslations(settings.language);
+        this.bot.sendMessage(msg.chat.id, t.errorOptOut);
+      }
+    });
+
+    this.bot.onText(/\/optin/, async (msg) => {
+      try {
+        await this.commandHandler.handleOptIn(this.bot, msg);
+      } catch (error) {
+        logger.error('Error handling optin command:', error);
+        const settings = await this.commandHandler.db.getChatSettings(msg.chat.id);
+        const t = this.commandHandler.getTranslations(settings.language);
+        this.bot.sendMessage(msg.chat.id, t.errorOptOut);
+      }
+    });
+
+    this.bot.onText(/^\/settings(?:@\w+)?(?:\s|$)/, async (msg) => {
+      try {
+        await this.commandHandler.handleSettings(this.bot, msg);
+      } catch (error) {
+        logger.error('Error handling settings command:', error);
+        const settings = await this.commandHandler.db.getChatSettings(msg.chat.id);
+        const t = this.commandHandler.getTranslations(settings.language);
+        this.bot.sendMessage(msg.chat.id, t.errorSettings);
+      }
+    });
+
+    this.bot.onText(/\/model(?:\s+(.+))?/, async (msg, match) => {
+      try {
+        await this.commandHandler.handleModel(this.bot, msg, match[1]);
+      } catch (error) {
+        logger.error('Error handling model command:', error);
+        const settings = await this.commandHandler.db.getChatSettings(msg.chat.id);
+        const t = this.commandHandler.getTranslations(settings.language);
+        this.bot.sendMessage(msg.chat.id, t.errorSetModel);
+      }
+    });
+
+    // Instructions may span several lines, so match across newlines
+    this.bot.onText(/\/prompt(?:\s+([\s\S]+))?/, async (msg, match) => {
+      try {
+        await this.commandHandler.handlePrompt(this.bot, msg, match[1]);
+      } catch (error) {
+        logger.error('Error handling prompt command:', error);
+        const settings = await this.commandHandler.db.getChatSettings(msg.chat.id);
+        const t = this.commandHandler.getTranslations(settings.language);
+        this.bot.sendMessage(msg.chat.id, t.errorSetPrompt);
+      }
+    });
+
+    this.bot.onText(/\/style(?:\s+(.+))?/, async (msg, match) => {
+      try {
+        await this.commandHandler.handleStyle(this.bot, msg, match[1]);
+      } catch (error) {
+        logger.error('Error handling style command:', error);
+        const settings = await this.commandHandler.db.getChatSettings(msg.chat.id);
+        const t = this.commandHandler.getTranslations(settings.language);
+        this.bot.sendMessage(msg.chat.id, t.errorSetStyle);
+      }
+    });
+
     this.bot.onText(/\/language(?:\s+(.+))?/, async (msg, match) => {
       try {
         await this.commandHandler.handleLanguage(this.bot, msg, match[1]);
@@ -187,6 +406,28 @@ class TelegramSummaryBot {
       }
     });
 
+    this.bot.onText(/\/retention(?:\s+(.+))?/, async (msg, match) => {
+      try {
+        await this.commandHandler.handleRetention(this.bot, msg, match[1]);
+      } catch (error) {
+        logger.error('Error handling retention command:', error);
+        const settings = await this.commandHandler.db.getChatSettings(msg.chat.id);
+        const t = this.commandHandler.getTranslations(settings.language);
+        this.bot.sendMessage(msg.chat.id, t.errorSetRetention);
+      }
+    });
+
+    this.bot.onText(/\/backup/, async (msg) => {
+      try {
+        await this.commandHandler.handleBackup(this.bot, msg);
+      } catch (error) {
+        logger.error('Error handling backup command:', error);
+        const settings = await this.commandHandler.db.getChatSettings(msg.chat.id);
+        const t = this.commandHandler.getTranslations(settings.language);
+        this.bot.sendMessage(msg.chat.id, t.errorBackup);
+      }
+    });
+
     this.bot.onText(/\/timezone(?:\s+(.+))?/, async (msg, match) => {
       try {
         await this.commandHandler.handleTimezone(this.bot, msg, match[1]);
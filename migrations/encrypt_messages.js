@@ -0,0 +1,88 @@
+require('dotenv').config();
+const Database = require('../src/database');
+const Encryption = require('../src/encryption');
+
+// Rows rewritten per transaction
+const BATCH_SIZE = 500;
+
+/**
+ * Rewrites one table in id order: values that don't match the current setup
+ * (plaintext, or encrypted under an old key) are decrypted and encrypted again.
+ */
+async function rewriteTable(db, encryption, table, columns) {
+  let lastId = 0;
+  let updated = 0;
+
+  for (;;) {
+    const rows = await db.all(
+      `SELECT id, ${columns.join(', ')} FROM ${table} WHERE id > ? ORDER BY id LIMIT ?`,
+      [lastId, BATCH_SIZE]
+    );
+
+    if (rows.length === 0) {
+      return updated;
+    }
+
+    await db.transaction(async () => {
+      for (const row of rows) {
+        const changed = columns.filter(column => encryption.needsRewrite(row[column]));
+        if (changed.length === 0) {
+          continue;
+        }
+
+        await db.run(
+          `UPDATE ${table} SET ${changed.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+          [...changed.map(column => encryption.encrypt(encryption.decrypt(row[column]))), row.id]
+        );
+        updated++;
+      }
+    });
+
+    lastId = rows[rows.length - 1].id;
+  }
+}
+
+async function encryptMessages() {
+  const decrypt = process.argv.slice(2).includes('--decrypt');
+
+  // Decrypting keeps every key for reading but writes plaintext
+  const encryption = decrypt
+    ? new Encryption({ key: null, oldKeys: [process.env.ENCRYPTION_KEY, process.env.ENCRYPTION_OLD_KEYS].filter(Boolean).join(',') })
+    : new Encryption();
+
+  if (!decrypt && !encryption.enabled) {
+    throw new Error('ENCRYPTION_KEY is not set (generate one with: openssl rand -base64 32)');
+  }
+
+  console.log(decrypt
+    ? '🔓 Decrypting stored messages...'
+    : '🔐 Encrypting stored messages with the current ENCRYPTION_KEY...');
+  console.log('⚠️  Stop the bot before running this, it rewrites every stored message');
+
+  const db = new Database();
+  // No init(): its encryption check would refuse a database that is only half converted
+  await db.connect();
+  await db.configure();
+  await db.migrate();
+
+  try {
+    for (const [table, columns] of Object.entries(Database.ENCRYPTED_COLUMNS)) {
+      const updated = await rewriteTable(db, encryption, table, columns);
+      console.log(`✅ ${table}: ${updated} row(s) rewritten`);
+    }
+    console.log('📍 Database location:', process.env.DATABASE_PATH || './chat_data.db');
+  } finally {
+    db.close();
+  }
+}
+
+if (require.main === module) {
+  encryptMessages()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('❌ Failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = encryptMessages;
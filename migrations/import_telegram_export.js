@@ -0,0 +1,68 @@
+require('dotenv').config();
+const fs = require('fs');
+const Database = require('../src/database');
+const ExportImporter = require('../src/exportImporter');
+
+function parseArgs(argv) {
+  const args = { file: null, chatId: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--chat-id') {
+      args.chatId = parseInt(argv[++i]);
+    } else if (!args.file) {
+      args.file = argv[i];
+    }
+  }
+
+  return args;
+}
+
+async function importTelegramExport() {
+  const { file, chatId: chatIdArg } = parseArgs(process.argv.slice(2));
+
+  if (!file) {
+    console.error('Usage: node migrations/import_telegram_export.js <result.json> [--chat-id <id>]');
+    process.exit(1);
+  }
+
+  console.log(`🔄 Importing Telegram Desktop export from ${file}...`);
+
+  const exportData = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const db = new Database();
+  const importer = new ExportImporter(db);
+
+  const chatId = chatIdArg || importer.getChatId(exportData);
+  if (!chatId || isNaN(chatId)) {
+    throw new Error('Could not determine the chat id from the export, pass --chat-id');
+  }
+
+  await db.init();
+
+  try {
+    console.log(`💬 Chat: ${exportData.name || 'Unknown'} (${chatId})`);
+    const result = await importer.import(exportData, chatId);
+
+    console.log(`✅ Imported: ${result.imported}`);
+    console.log(`⏭️  Skipped (duplicates, service messages, opted-out users): ${result.skipped}`);
+    if (result.failed > 0) {
+      console.log(`❌ Failed: ${result.failed}`);
+    }
+    console.log('📍 Database location:', process.env.DATABASE_PATH || './chat_data.db');
+  } finally {
+    db.close();
+  }
+}
+
+if (require.main === module) {
+  importTelegramExport()
+    .then(() => {
+      console.log('✅ Import completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Import failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = importTelegramExport;
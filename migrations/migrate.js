@@ -0,0 +1,67 @@
+require('dotenv').config();
+const Database = require('../src/database');
+const Migrator = require('../src/migrator');
+
+function printStatus(status) {
+  console.log(`📊 Schema version: ${status.currentVersion} (latest: ${status.latestVersion})`);
+  console.log('');
+
+  for (const migration of status.migrations) {
+    const state = migration.appliedAt ? `✅ applied ${migration.appliedAt}` : '⏳ pending';
+    console.log(`  ${String(migration.version).padStart(3, '0')}_${migration.name} - ${state}`);
+    console.log(`      ${migration.description}`);
+  }
+
+  for (const row of status.unknown) {
+    console.log(`  ${String(row.version).padStart(3, '0')}_${row.name} - ⚠️  applied by a newer build`);
+  }
+}
+
+async function migrate() {
+  const args = process.argv.slice(2);
+  const showStatus = args.includes('status');
+  const dryRun = args.includes('--dry-run');
+
+  const db = new Database();
+  // Only connect; init() would already apply the migrations
+  await db.connect();
+
+  try {
+    const migrator = new Migrator(db);
+
+    if (showStatus) {
+      printStatus(await migrator.getStatus());
+      return;
+    }
+
+    if (dryRun) {
+      const pending = await migrator.migrate({ dryRun: true });
+      console.log(pending.length === 0
+        ? '✅ Database is up to date, nothing to apply'
+        : `🔍 Dry run: ${pending.length} migration(s) would be applied:`);
+      pending.forEach(migration => console.log(`  ${String(migration.version).padStart(3, '0')}_${migration.name} - ${migration.description}`));
+      return;
+    }
+
+    console.log('🔄 Applying database migrations...');
+    await db.configure();
+    const applied = await migrator.migrate();
+    console.log(applied.length === 0
+      ? '✅ Database is up to date, nothing to apply'
+      : `✅ Applied ${applied.length} migration(s), schema version is now ${applied[applied.length - 1].version}`);
+    console.log('📍 Database location:', process.env.DATABASE_PATH || './chat_data.db');
+  } finally {
+    db.close();
+  }
+}
+
+if (require.main === module) {
+  migrate()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('❌ Migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = migrate;
@@ -0,0 +1,116 @@
+require('dotenv').config();
+const fs = require('fs');
+const moment = require('moment-timezone');
+const Database = require('../src/database');
+const Migrator = require('../src/migrator');
+
+/**
+ * Checks that a database file is intact, written by a compatible schema and
+ * readable with the configured encryption keys. Throws with the reason otherwise.
+ */
+async function verifyBackup(file) {
+  const backup = new Database(file);
+  await backup.connect();
+
+  try {
+    // Badly damaged files make the check itself fail instead of listing problems
+    const problems = await backup.all('PRAGMA integrity_check')
+      .then(rows => rows.map(row => row.integrity_check))
+      .catch(error => [error.message]);
+    if (problems.length !== 1 || problems[0] !== 'ok') {
+      throw new Error(`Integrity check failed:\n  ${problems.slice(0, 10).join('\n  ')}`);
+    }
+    console.log('✅ Integrity check passed');
+
+    const status = await new Migrator(backup).getStatus();
+    if (status.currentVersion === 0) {
+      throw new Error('The file has no schema version, it is not a bot database');
+    }
+    if (status.unknown.length > 0) {
+      throw new Error(
+        `The backup has schema version ${status.currentVersion}, newer than this build supports (${status.latestVersion}); ` +
+        'restore it with the version of the bot that wrote it'
+      );
+    }
+    console.log(status.currentVersion === status.latestVersion
+      ? `✅ Schema version ${status.currentVersion} matches this build`
+      : `✅ Schema version ${status.currentVersion}; it will be migrated to ${status.latestVersion} when the bot starts`);
+
+    await backup.checkEncryption();
+  } finally {
+    backup.close();
+  }
+}
+
+function removeDatabaseFiles(file) {
+  for (const suffix of ['', '-wal', '-shm']) {
+    fs.rmSync(`${file}${suffix}`, { force: true });
+  }
+}
+
+/**
+ * Moves the current database (with its WAL) aside so it can be recovered, then
+ * renames the verified copy into place.
+ */
+function swapIn(restoring, dbPath) {
+  if (fs.existsSync(dbPath)) {
+    const saved = `${dbPath}.pre-restore-${moment.utc().format('YYYYMMDD-HHmmss')}`;
+
+    fs.renameSync(dbPath, saved);
+    if (fs.existsSync(`${dbPath}-wal`)) {
+      fs.renameSync(`${dbPath}-wal`, `${saved}-wal`);
+    }
+    fs.rmSync(`${dbPath}-shm`, { force: true });
+    console.log(`📦 Current database moved to ${saved}`);
+  }
+
+  fs.renameSync(restoring, dbPath);
+}
+
+async function restoreBackup() {
+  const args = process.argv.slice(2);
+  const checkOnly = args.includes('--check');
+  const file = args.find(arg => !arg.startsWith('--'));
+  const dbPath = process.env.DATABASE_PATH || './chat_data.db';
+
+  if (!file) {
+    console.error('Usage: node migrations/restore_backup.js <backup.db> [--check]');
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`Backup file not found: ${file}`);
+  }
+
+  // Checks run on a copy next to the database: they need write access, the backup stays untouched
+  const restoring = `${dbPath}.restoring`;
+  removeDatabaseFiles(restoring);
+  fs.copyFileSync(file, restoring);
+
+  try {
+    console.log(`🔍 Checking backup ${file}...`);
+    await verifyBackup(restoring);
+
+    if (checkOnly) {
+      console.log('✅ Backup is valid (--check, nothing restored)');
+      return;
+    }
+
+    console.log('⚠️  Stop the bot before restoring, it keeps the database open');
+    swapIn(restoring, dbPath);
+    console.log(`✅ Restored ${file} to ${dbPath}`);
+  } finally {
+    removeDatabaseFiles(restoring);
+  }
+}
+
+if (require.main === module) {
+  restoreBackup()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('❌ Restore failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = restoreBackup;
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+const logger = require('./logger');
+
+// backup-YYYYMMDD-HHmmss.db; the UTC timestamp makes names sort by age
+const BACKUP_FILE_PATTERN = /^backup-\d{8}-\d{6}\.db$/;
+
+/**
+ * Writes timestamped snapshots of the live database on an interval and keeps
+ * only the newest ones. Snapshots use SQLite's online backup, so they are
+ * consistent even while messages are being written.
+ */
+class BackupService {
+  constructor(database, options = {}) {
+    this.db = database;
+    this.directory = options.directory || process.env.BACKUP_DIR || path.join(path.dirname(database.dbPath), 'backups');
+    this.keep = options.keep || parseInt(process.env.BACKUP_KEEP) || 7;
+    // 0 turns scheduled backups off; /backup still works
+    const interval = options.intervalHours !== undefined ? options.intervalHours : process.env.BACKUP_INTERVAL_HOURS;
+    this.intervalHours = interval !== undefined && interval !== '' ? parseFloat(interval) : 24;
+    this.intervalId = null;
+    this.running = null;
+  }
+
+  start() {
+    if (this.intervalId || !(this.intervalHours > 0)) {
+      return;
+    }
+
+    this.intervalId = setInterval(() => {
+      this.createBackup().catch(error => logger.error('Scheduled backup failed:', error));
+    }, this.intervalHours * 60 * 60 * 1000);
+
+    logger.info(`Backups scheduled every ${this.intervalHours}h into ${this.directory} (keeping ${this.keep})`);
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  /**
+   * Creates a snapshot and rotates old ones. A backup requested while another
+   * one is running shares its result instead of starting a second copy.
+   */
+  createBackup() {
+    if (!this.running) {
+      this.running = this.runBackup().finally(() => {
+        this.running = null;
+      });
+    }
+
+    return this.running;
+  }
+
+  async runBackup() {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    const file = path.join(this.directory, `backup-${moment.utc().format('YYYYMMDD-HHmmss')}.db`);
+    const partial = `${file}.partial`;
+
+    // Write under a temporary name so an interrupted backup never looks like a complete one
+    await fs.promises.rm(partial, { force: true });
+    await this.db.backupTo(partial);
+    await fs.promises.rename(partial, file);
+
+    const { size } = await fs.promises.stat(file);
+    const removed = await this.rotate();
+
+    logger.info(`Database backup written to ${file} (${size} bytes, ${removed.length} old backup(s) removed)`);
+    return { file, size, removed };
+  }
+
+  async listBackups() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return files
+      .filter(file => BACKUP_FILE_PATTERN.test(file))
+      .sort()
+      .reverse()
+      .map(file => path.join(this.directory, file));
+  }
+
+  async rotate() {
+    const expired = (await this.listBackups()).slice(this.keep);
+
+    for (const file of expired) {
+      await fs.promises.rm(file, { force: true });
+    }
+
+    return expired;
+  }
+}
+
+module.exports = BackupService;
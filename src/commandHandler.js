@@ -1,10 +1,110 @@
+const path = require('path');
 const moment = require('moment-timezone');
 const logger = require('./logger');
+const ExportImporter = require('./exportImporter');
+const { DEFAULT_STYLE, SUMMARY_STYLES, isSummaryStyle } = require('./summaryStyles');
+const { extractKeywords } = require('./textSearch');
+
+// Keeps /links replies well under Telegram's 4096 character limit
+const MAX_LINKS_LISTED = 30;
+
+// Bots can only download files up to 20 MB through the Bot API
+const MAX_IMPORT_FILE_SIZE = 20 * 1024 * 1024;
+
+// A channel given explicitly after the "channel" keyword: @username or -100... id
+const CHANNEL_REF_PATTERN = /^(@\w+|-100\d+)$/;
+
+// A chat member given as @username, e.g. "/summary @alex 1w"
+const USER_REF_PATTERN = /^@\w+$/;
+
+// Period arguments understood by parseTimePeriod
+const PERIOD_PATTERN = /^(today|yesterday|\d+[hdw])$/i;
+
+// Results per /search page; each one carries a snippet, so pages stay short
+const SEARCH_PAGE_SIZE = 5;
+
+// "More" buttons refer to searches kept in memory for this long
+const SEARCH_TTL_MS = 60 * 60 * 1000;
+
+// Control characters never occur in message text, so they can mark snippet matches before HTML escaping
+const SNIPPET_START = '\u0001';
+const SNIPPET_END = '\u0002';
+
+// /ask sends the best search matches, each with a few messages before and after it, to the model
+const ASK_MAX_MATCHES = 10;
+const ASK_CONTEXT_MESSAGES = 3;
+
+// AI requests per chat and day: summaries, /ask and /todo extractions share the limit
+const DAILY_LIMIT = 10;
+
+// Summaries listed by /history; one button per summary must fit in the keyboard
+const HISTORY_LIMIT = 10;
+
+// Open action items listed by /todo; each line is short, so this stays well under the message limit
+const MAX_TODO_LISTED = 50;
+
+// Days per unit accepted by /retention (30d, 12w, 6m, 1y)
+const RETENTION_UNITS = { d: 1, w: 7, m: 30, y: 365 };
+const MAX_RETENTION_DAYS = 3650;
+
+const SUPPORTED_LANGUAGES = {
+  'en': '🇺🇸 English',
+  'es': '🇪🇸 Spanish',
+  'fr': '🇫🇷 French',
+  'de': '🇩🇪 German',
+  'it': '🇮🇹 Italian',
+  'pt': '🇵🇹 Portuguese',
+  'ru': '🇷🇺 Russian',
+  'ja': '🇯🇵 Japanese',
+  'ko': '🇰🇷 Korean',
+  'zh': '🇨🇳 Chinese',
+  'ar': '🇸🇦 Arabic',
+  'hi': '🇮🇳 Hindi',
+  'uk': '🇺🇦 Ukrainian',
+  'pl': '🇵🇱 Polish',
+  'nl': '🇳🇱 Dutch',
+  'tr': '🇹🇷 Turkish'
+};
+
+const SUPPORTED_TIMEZONES = {
+  'UTC': '🌍 UTC (Coordinated Universal Time)',
+  'Europe/Kyiv': '🇺🇦 Kyiv (EET/EEST)',
+  'America/New_York': '🇺🇸 Eastern Time (ET)',
+  'America/Chicago': '🇺🇸 Central Time (CT)',
+  'America/Denver': '🇺🇸 Mountain Time (MT)',
+  'America/Los_Angeles': '🇺🇸 Pacific Time (PT)',
+  'Europe/London': '🇬🇧 London (GMT/BST)',
+  'Europe/Paris': '🇫🇷 Paris (CET/CEST)',
+  'Europe/Berlin': '🇩🇪 Berlin (CET/CEST)',
+  'Europe/Moscow': '🇷🇺 Moscow (MSK)',
+  'Asia/Tokyo': '🇯🇵 Tokyo (JST)',
+  'Asia/Shanghai': '🇨🇳 Shanghai (CST)',
+  'Asia/Seoul': '🇰🇷 Seoul (KST)',
+  'Asia/Dubai': '🇦🇪 Dubai (GST)',
+  'Asia/Kolkata': '🇮🇳 Mumbai (IST)',
+  'Australia/Sydney': '🇦🇺 Sydney (AEDT/AEST)',
+  'Pacific/Auckland': '🇳🇿 Auckland (NZDT/NZST)'
+};
+
+// Presets offered by /settings; /length and /retention still accept any value
+const LENGTH_PRESETS = [800, 1500, 2500, 4000];
+const RETENTION_PRESETS = [7, 30, 90, 365];
+
+const SCHEDULE_OPTIONS = {
+  daily: { type: 'daily', hours: 24 },
+  '3days': { type: 'custom', hours: 72 },
+  weekly: { type: 'weekly', hours: 168 }
+};
 
 class CommandHandler {
-  constructor(database, summaryService) {
+  constructor(database, summaryService, messageBuffer = null, backupService = null) {
     this.db = database;
     this.summaryService = summaryService;
+    this.messageBuffer = messageBuffer;
+    this.backupService = backupService;
+    this.exportImporter = new ExportImporter(database);
+    this.searches = new Map();
+    this.nextSearchId = 1;
   }
 
   async handleStart(bot, msg) {
@@ -21,55 +121,109 @@ class CommandHandler {
     bot.sendMessage(msg.chat.id, response, { parse_mode: 'MarkdownV2' });
   }
 
-  async handleSummary(bot, msg, period) {
+  async handleSummary(bot, msg, args) {
     const chatId = msg.chat.id;
+    const replyOptions = this.getReplyOptions(msg);
     
     // Show typing indicator
-    bot.sendChatAction(chatId, 'typing');
+    bot.sendChatAction(chatId, 'typing', replyOptions);
 
     try {
       // Get chat settings for language preference
       const settings = await this.db.getChatSettings(chatId);
       const t = this.getTranslations(settings.language);
+
+      // "/summary channel ..." reads a broadcast channel instead of this chat
+      const source = await this.resolveSourceChat(bot, msg, args, t);
+      if (!source) {
+        return;
+      }
+
+      const { period, allTopics, style: requestedStyle, usernames } = this.parseSummaryArgs(source.args);
+      const style = requestedStyle || settings.summary_style || DEFAULT_STYLE;
+
+      // "/summary @alex", or replying to one of Alex's messages, summarizes Alex's contributions
+      const participants = await this.resolveParticipants(bot, msg, source, usernames, t);
+      if (!participants) {
+        return;
+      }
+      const participantNames = participants.map(participant => participant.name);
+
+      // Inside a forum topic, summarize only that topic unless "all" was requested
+      const threadId = !source.channel && msg.is_topic_message && !allTopics ? msg.message_thread_id : null;
       
-      // Check daily summary limit (10 per day)
-      const dailyCount = await this.db.getDailySummaryCount(chatId);
-      const DAILY_LIMIT = 10;
-      
-      if (dailyCount >= DAILY_LIMIT) {
-        const response = t.dailyLimitReached(dailyCount, DAILY_LIMIT);
-        
-        bot.sendMessage(chatId, response);
+      if (await this.replyIfDailyLimitReached(bot, msg, source.chatId, t)) {
         return;
       }
 
-      // Increment summary count for today
-      await this.db.incrementSummaryCount(chatId);
+      const selection = await this.summaryService.selectModel(settings.model, model => this.db.countModelUsageToday(model));
+      if (!selection) {
+        bot.sendMessage(chatId, t.modelCapReached(settings.model || this.summaryService.model), replyOptions);
+        return;
+      }
 
       const timeRange = this.parseTimePeriod(period || '24h');
-      const messages = await this.db.getMessages(
-        chatId, 
+      const periodMessages = await this.db.getMessages(
+        source.chatId, 
         timeRange.start, 
-        timeRange.end
+        timeRange.end,
+        undefined,
+        { threadId }
       );
+      const messages = participants.length > 0 ? this.filterParticipantMessages(periodMessages, participants) : periodMessages;
 
       if (messages.length === 0) {
-        bot.sendMessage(chatId, t.noMessages);
+        bot.sendMessage(chatId, participants.length > 0 ? t.noParticipantMessages(participantNames.join(', ')) : t.noMessages, replyOptions);
         return;
       }
+
+      const periodLinks = await this.db.getLinks(source.chatId, timeRange.start, timeRange.end, { threadId });
+      const participantIds = new Set(participants.map(participant => participant.userId));
+      const links = participants.length > 0 ? periodLinks.filter(link => participantIds.has(link.user_id)) : periodLinks;
       
-      // Generate summary using OpenAI service
+      // Generate summary using the AI provider
+      const stats = {};
       const summary = await this.summaryService.generateSummary(messages, {
+        chatId: source.chatId,
         language: settings.language,
         maxLength: settings.summary_length,
-        timezone: settings.timezone
+        timezone: settings.timezone,
+        links,
+        model: selection.model,
+        style,
+        customPrompt: settings.custom_prompt,
+        participants: participantNames,
+        stats
       });
       
       // Handle empty summary case
       if (!summary) {
-        bot.sendMessage(chatId, t.noMessages);
+        bot.sendMessage(chatId, t.noMessages, replyOptions);
         return;
       }
+
+      // Summaries served from the cache don't use up the daily limit (nor, once stored as cached, the model's cap)
+      if (!stats.cached) {
+        await this.db.incrementSummaryCount(source.chatId);
+      }
+
+      // Kept with the chat that was summarized, so a channel's /clear and retention remove it too
+      await this.storeSummary({
+        chat_id: source.chatId,
+        message_thread_id: threadId,
+        period_start: timeRange.start,
+        period_end: timeRange.end,
+        period_description: timeRange.description,
+        language: settings.language,
+        summary_length: settings.summary_length,
+        model: selection.model,
+        message_count: messages.length,
+        text: summary,
+        source: 'command',
+        requested_by: msg.from?.id,
+        participants: participantNames.join(', ') || null,
+        cached: stats.cached
+      });
       
       const dateFormat = this.getLocalizedDate(timeRange.start, timeRange.end, settings.language, settings.timezone);
       
@@ -77,21 +231,756 @@ class CommandHandler {
       // const processedSummary = this.summaryService.postProcessSummary(summary, messages, chatId, settings.timezone);
       const processedSummary = summary;
       
+      const topicName = threadId ? msg.reply_to_message?.forum_topic_created?.name : null;
+      const topicLine = topicName ? `\n🧵 ${t.topic}: ${topicName}` : '';
+      const channelLine = source.channel ? `\n📢 ${t.channel}: ${source.channel.title}` : '';
+      const modelLine = selection.model !== selection.requested ? `\n${t.modelFallback(selection.requested, selection.model)}` : '';
+      const styleLine = style !== DEFAULT_STYLE ? `\n${t.styleNames[style]}` : '';
+      const participantLine = participants.length > 0 ? `\n👤 ${t.contributionsOf}: ${participantNames.join(', ')}` : '';
+      
       const response = `
 📝 ${t.chatSummary} (${this.translateTimePeriod(timeRange.description, settings.language)})
-📅 ${dateFormat}
-💬 ${messages.length} ${t.messagesAnalyzed}
+📅 ${dateFormat}${channelLine}${topicLine}${participantLine}${styleLine}
+💬 ${messages.length} ${t.messagesAnalyzed}${modelLine}
 
 ${processedSummary}
       `.trim();
 
       // Send as plain text without any formatting
-      bot.sendMessage(chatId, response);
+      bot.sendMessage(chatId, response, replyOptions);
       
     } catch (error) {
       logger.error('Error in handleSummary:', error);
-      bot.sendMessage(chatId, t.errorGeneratingSummary);
+      bot.sendMessage(chatId, t.errorGeneratingSummary, replyOptions);
+    }
+  }
+
+  async storeSummary(summary) {
+    // A summary that was generated is still sent if it can't be saved
+    try {
+      await this.db.saveSummary(summary);
+    } catch (error) {
+      logger.error('Error saving summary:', error);
+    }
+  }
+
+  async handleHistory(bot, msg) {
+    const chatId = msg.chat.id;
+    const replyOptions = this.getReplyOptions(msg);
+    const settings = await this.db.getChatSettings(chatId);
+    const t = this.getTranslations(settings.language);
+    const timezone = settings.timezone || 'UTC';
+
+    try {
+      const summaries = await this.db.getRecentSummaries(chatId, HISTORY_LIMIT);
+
+      if (summaries.length === 0) {
+        bot.sendMessage(chatId, t.noHistory, replyOptions);
+        return;
+      }
+
+      const lines = summaries.map((summary, index) => {
+        const created = moment.utc(summary.created_at).tz(timezone).format('MMM DD, HH:mm');
+        const period = this.translateTimePeriod(summary.period_description, settings.language);
+        const scheduled = summary.source === 'scheduled' ? ' ⏰' : '';
+        const participants = summary.participants ? `, 👤 ${summary.participants}` : '';
+        return `${index + 1}. ${created} — ${period}, ${summary.message_count} ${t.messagesAnalyzed}${participants}${scheduled}`;
+      });
+
+      // One numbered button per summary, five per row
+      const buttons = summaries.map((summary, index) => ({
+        text: String(index + 1),
+        callback_data: `history:${summary.id}`
+      }));
+      const keyboard = [];
+      for (let i = 0; i < buttons.length; i += 5) {
+        keyboard.push(buttons.slice(i, i + 5));
+      }
+
+      bot.sendMessage(chatId, `🗂️ ${t.summaryHistory}\n\n${lines.join('\n')}\n\n${t.historyHint}`, {
+        ...replyOptions,
+        reply_markup: { inline_keyboard: keyboard }
+      });
+    } catch (error) {
+      logger.error('Error in handleHistory:', error);
+      bot.sendMessage(chatId, t.errorHistory, replyOptions);
+    }
+  }
+
+  async handleHistoryOpen(bot, query, [summaryId]) {
+    const message = query.message;
+    const settings = await this.db.getChatSettings(message.chat.id);
+    const t = this.getTranslations(settings.language);
+    const summary = await this.db.getSummary(message.chat.id, parseInt(summaryId));
+
+    if (!summary) {
+      await bot.answerCallbackQuery(query.id, { text: t.summaryNotFound, show_alert: true });
+      return;
+    }
+
+    await bot.answerCallbackQuery(query.id);
+
+    // Re-opening sends the stored text; nothing is generated, so the daily limit is untouched
+    const timezone = settings.timezone || 'UTC';
+    const dateFormat = this.getLocalizedDate(summary.period_start, summary.period_end, settings.language, timezone);
+    const created = moment.utc(summary.created_at).tz(timezone).format('MMM DD, YYYY HH:mm');
+    const participantLine = summary.participants ? `\n👤 ${t.contributionsOf}: ${summary.participants}` : '';
+
+    const response = `
+📝 ${t.chatSummary} (${this.translateTimePeriod(summary.period_description, settings.language)})
+📅 ${dateFormat}${participantLine}
+💬 ${summary.message_count} ${t.messagesAnalyzed}
+🗂️ ${t.savedSummary(created)}
+
+${summary.text}
+    `.trim();
+
+    bot.sendMessage(message.chat.id, response, this.getReplyOptions(message));
+  }
+
+  /**
+   * Works out whose history a command reads. Normally that's the chat it was sent
+   * in; the "channel" keyword switches to a broadcast channel: the one linked to
+   * this discussion group, or one given as @username or id (required in a DM).
+   * Replies with the reason and returns null when the channel can't be used.
+   */
+  async resolveSourceChat(bot, msg, args, t) {
+    const tokens = (args || '').trim().split(/\s+/).filter(Boolean);
+    const keywordIndex = tokens.findIndex(token => token.toLowerCase() === 'channel');
+
+    if (keywordIndex === -1) {
+      return { chatId: msg.chat.id, channel: null, args };
+    }
+
+    const replyOptions = this.getReplyOptions(msg);
+    tokens.splice(keywordIndex, 1);
+
+    let channelRef = null;
+    if (CHANNEL_REF_PATTERN.test(tokens[keywordIndex] || '')) {
+      channelRef = tokens.splice(keywordIndex, 1)[0];
+    } else if (msg.chat.type !== 'private') {
+      const group = await bot.getChat(msg.chat.id);
+      channelRef = group.linked_chat_id;
+    }
+
+    if (!channelRef) {
+      bot.sendMessage(msg.chat.id, msg.chat.type === 'private' ? t.channelUsage : t.noLinkedChannel, replyOptions);
+      return null;
     }
+
+    let channel = null;
+    try {
+      channel = await bot.getChat(channelRef);
+    } catch (error) {
+      logger.warn(`Could not resolve channel ${channelRef}: ${error.message}`);
+    }
+
+    if (!channel || channel.type !== 'channel') {
+      bot.sendMessage(msg.chat.id, t.channelNotFound, replyOptions);
+      return null;
+    }
+
+    // Admins of the discussion group aren't necessarily admins of the channel
+    const isChannelAdmin = await this.isAdmin(bot, channel.id, msg.from.id);
+    const isOwner = await this.isBotOwner(msg.from.id);
+
+    if (!isChannelAdmin && !isOwner) {
+      bot.sendMessage(msg.chat.id, t.onlyChannelAdmins, replyOptions);
+      return null;
+    }
+
+    return { chatId: channel.id, channel, args: tokens.join(' ') };
+  }
+
+  parseSummaryArgs(args) {
+    // "channel @name" was already taken out by resolveSourceChat, so any @name left is a chat member
+    const tokens = (args || '').trim().split(/\s+/).filter(Boolean);
+    const allTopics = tokens.some(token => token.toLowerCase() === 'all');
+    const style = tokens.map(token => token.toLowerCase()).find(isSummaryStyle);
+    const usernames = [...new Set(tokens.filter(token => USER_REF_PATTERN.test(token)).map(token => token.slice(1)))];
+    const period = tokens.find(token => token.toLowerCase() !== 'all' && !isSummaryStyle(token.toLowerCase()) && !USER_REF_PATTERN.test(token));
+
+    return { period, allTopics, style, usernames };
+  }
+
+  /**
+   * The people a summary is about: those named with @username and the author
+   * of the message the command replies to. Resolves with [{ userId, name }]
+   * (empty for a summary of the whole conversation), or replies with the reason
+   * and resolves with null when someone is unknown or has opted out.
+   */
+  async resolveParticipants(bot, msg, source, usernames, t) {
+    const replyOptions = this.getReplyOptions(msg);
+    const participants = [];
+
+    for (const username of usernames) {
+      const user = await this.db.findUserByUsername(source.chatId, username);
+
+      if (!user) {
+        // Opting out deletes a user's messages, so they are only known by the name stored with the opt-out
+        const optedOut = await this.db.getOptedOutUsers(source.chatId);
+        const wasOptedOut = optedOut.some(entry => (entry.display_name || '').toLowerCase() === `@${username.toLowerCase()}`);
+        bot.sendMessage(msg.chat.id, wasOptedOut ? t.participantOptedOut(`@${username}`) : t.participantUnknown(`@${username}`), replyOptions);
+        return null;
+      }
+
+      participants.push({ userId: user.user_id, name: `@${user.username}` });
+    }
+
+    const replyAuthor = source.channel ? null : this.getReplyAuthor(msg);
+    if (replyAuthor && !participants.some(participant => participant.userId === replyAuthor.id)) {
+      participants.push({ userId: replyAuthor.id, name: this.getDisplayName(replyAuthor) });
+    }
+
+    for (const participant of participants) {
+      if (await this.db.isUserOptedOut(source.chatId, participant.userId)) {
+        bot.sendMessage(msg.chat.id, t.participantOptedOut(participant.name), replyOptions);
+        return null;
+      }
+    }
+
+    return participants;
+  }
+
+  // The person whose message a command replies to; in forum topics every message "replies" to the topic's first message
+  getReplyAuthor(msg) {
+    const reply = msg.reply_to_message;
+    if (!reply || !reply.from || reply.from.is_bot || reply.forum_topic_created) {
+      return null;
+    }
+    if (msg.is_topic_message && reply.message_id === msg.message_thread_id) {
+      return null;
+    }
+    return reply.from;
+  }
+
+  // The participants' messages and the messages that reply to them
+  filterParticipantMessages(messages, participants) {
+    const userIds = new Set(participants.map(participant => participant.userId));
+    const participantMessageIds = new Set(
+      messages.filter(message => userIds.has(message.user_id)).map(message => message.message_id)
+    );
+
+    return messages.filter(message =>
+      userIds.has(message.user_id) || participantMessageIds.has(message.reply_to_message_id)
+    );
+  }
+
+  /**
+   * Replies with the daily limit message and resolves with true when the chat
+   * has used up today's AI requests.
+   */
+  async replyIfDailyLimitReached(bot, msg, chatId, t) {
+    const dailyCount = await this.db.getDailySummaryCount(chatId);
+    if (dailyCount < DAILY_LIMIT) {
+      return false;
+    }
+
+    bot.sendMessage(msg.chat.id, t.dailyLimitReached(dailyCount, DAILY_LIMIT), this.getReplyOptions(msg));
+    return true;
+  }
+
+  // A request other than a summary (which is counted through the summaries table) uses up the chat's limit and the model's cap
+  async recordAiRequest(chatId, model, kind) {
+    await this.db.incrementSummaryCount(chatId);
+    await this.db.recordModelUsage(chatId, model, kind);
+  }
+
+  getReplyOptions(msg) {
+    // Without message_thread_id, replies in a forum land in the General topic
+    return msg.is_topic_message ? { message_thread_id: msg.message_thread_id } : {};
+  }
+
+  async handleLinks(bot, msg, args) {
+    const chatId = msg.chat.id;
+    const replyOptions = this.getReplyOptions(msg);
+    const settings = await this.db.getChatSettings(chatId);
+    const t = this.getTranslations(settings.language);
+    const timezone = settings.timezone || 'UTC';
+
+    try {
+      const { period, domain } = this.parseLinksArgs(args);
+      const timeRange = this.parseTimePeriod(period || '7d');
+      const links = await this.db.getLinks(chatId, timeRange.start, timeRange.end, { domain });
+
+      if (links.length === 0) {
+        bot.sendMessage(chatId, t.noLinks, replyOptions);
+        return;
+      }
+
+      // Show the most recent links, grouped by day in the chat's timezone
+      const shown = links.slice(-MAX_LINKS_LISTED);
+      const linksByDay = new Map();
+      for (const link of shown) {
+        const day = moment.unix(link.timestamp).tz(timezone).format('YYYY-MM-DD');
+        if (!linksByDay.has(day)) {
+          linksByDay.set(day, []);
+        }
+        linksByDay.get(day).push(link);
+      }
+
+      const sections = [...linksByDay.entries()].map(([day, dayLinks]) => {
+        const lines = dayLinks.map(link => this.formatLinkLine(msg.chat, link, timezone, t));
+        return `📅 <b>${day}</b>\n${lines.join('\n')}`;
+      });
+
+      const periodLabel = this.translateTimePeriod(timeRange.description, settings.language);
+      const domainLabel = domain ? `, ${this.escapeHtml(domain)}` : '';
+      let response = `🔗 <b>${t.sharedLinks}</b> (${periodLabel}${domainLabel})\n\n${sections.join('\n\n')}`;
+
+      if (links.length > shown.length) {
+        response += `\n\n${t.showingLatestLinks(shown.length, links.length)}`;
+      }
+
+      bot.sendMessage(chatId, response, {
+        ...replyOptions,
+        parse_mode: 'HTML',
+        disable_web_page_preview: true
+      });
+    } catch (error) {
+      logger.error('Error in handleLinks:', error);
+      bot.sendMessage(chatId, t.errorLinks, replyOptions);
+    }
+  }
+
+  parseLinksArgs(args) {
+    const tokens = (args || '').trim().split(/\s+/).filter(Boolean);
+    let period = null;
+    let domain = null;
+
+    for (const token of tokens) {
+      if (!period && PERIOD_PATTERN.test(token)) {
+        period = token;
+      } else if (!domain) {
+        domain = token.toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').split('/')[0];
+      }
+    }
+
+    return { period, domain };
+  }
+
+  formatLinkLine(chat, link, timezone, t) {
+    const time = moment.unix(link.timestamp).tz(timezone).format('HH:mm');
+    const author = link.username ? `@${link.username}` : (link.first_name || 'Unknown');
+    const label = link.url.replace(/^https?:\/\//, '');
+    const shortLabel = label.length > 60 ? `${label.slice(0, 57)}...` : label;
+
+    let line = `• ${time} ${this.escapeHtml(author)} — <a href="${this.escapeHtml(link.url)}">${this.escapeHtml(shortLabel)}</a>`;
+
+    const messageLink = this.getMessageLink(chat, link.message_id);
+    if (messageLink) {
+      line += ` (<a href="${messageLink}">${t.originalMessage}</a>)`;
+    }
+
+    return line;
+  }
+
+  getMessageLink(chat, messageId) {
+    // Public chats link by username; private supergroups use the t.me/c/ form
+    if (chat.username) {
+      return `https://t.me/${chat.username}/${messageId}`;
+    }
+
+    const chatId = chat.id.toString();
+    if (chatId.startsWith('-100')) {
+      return `https://t.me/c/${chatId.slice(4)}/${messageId}`;
+    }
+
+    // Basic groups and private chats have no message links
+    return null;
+  }
+
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  async handleSearch(bot, msg, args) {
+    const chatId = msg.chat.id;
+    const replyOptions = this.getReplyOptions(msg);
+    const settings = await this.db.getChatSettings(chatId);
+    const t = this.getTranslations(settings.language);
+
+    try {
+      const { query, period, username } = this.parseSearchArgs(args);
+
+      if (!query) {
+        bot.sendMessage(chatId, t.searchUsage, replyOptions);
+        return;
+      }
+
+      // Without a period the whole stored history is searched
+      const timeRange = period ? this.parseTimePeriod(period) : null;
+      const searchId = this.rememberSearch({ chatId, query, timeRange, username });
+
+      await this.sendSearchPage(bot, msg.chat, searchId, 0, replyOptions);
+    } catch (error) {
+      logger.error('Error in handleSearch:', error);
+      bot.sendMessage(chatId, t.errorSearch, replyOptions);
+    }
+  }
+
+  parseSearchArgs(args) {
+    const tokens = (args || '').trim().split(/\s+/).filter(Boolean);
+    let period = null;
+    let username = null;
+
+    // Filters trail the search terms: "/search release notes 7d @alice"
+    while (tokens.length > 1) {
+      const token = tokens[tokens.length - 1];
+
+      if (!username && /^@\w+$/.test(token)) {
+        username = token.slice(1);
+      } else if (!period && PERIOD_PATTERN.test(token)) {
+        period = token;
+      } else {
+        break;
+      }
+
+      tokens.pop();
+    }
+
+    return { query: tokens.join(' '), period, username };
+  }
+
+  rememberSearch(search) {
+    const now = Date.now();
+
+    for (const [id, entry] of this.searches) {
+      if (now - entry.createdAt > SEARCH_TTL_MS) {
+        this.searches.delete(id);
+      }
+    }
+
+    const searchId = (this.nextSearchId++).toString(36);
+    this.searches.set(searchId, { ...search, createdAt: now });
+    return searchId;
+  }
+
+  async sendSearchPage(bot, chat, searchId, offset, replyOptions) {
+    const search = this.searches.get(searchId);
+    const settings = await this.db.getChatSettings(chat.id);
+    const t = this.getTranslations(settings.language);
+    const timezone = settings.timezone || 'UTC';
+
+    // One extra row tells whether there is another page
+    const results = await this.db.searchMessages(search.chatId, search.query, {
+      startTime: search.timeRange?.start ?? null,
+      endTime: search.timeRange?.end ?? null,
+      username: search.username,
+      limit: SEARCH_PAGE_SIZE + 1,
+      offset,
+      snippetStart: SNIPPET_START,
+      snippetEnd: SNIPPET_END
+    });
+
+    if (results.length === 0) {
+      bot.sendMessage(chat.id, offset === 0 ? t.noSearchResults : t.noMoreSearchResults, replyOptions);
+      return;
+    }
+
+    const page = results.slice(0, SEARCH_PAGE_SIZE);
+    const lines = page.map((row, index) => this.formatSearchResult(chat, row, offset + index + 1, timezone));
+
+    const filters = [];
+    if (search.timeRange) {
+      filters.push(this.translateTimePeriod(search.timeRange.description, settings.language));
+    }
+    if (search.username) {
+      filters.push(`@${this.escapeHtml(search.username)}`);
+    }
+    const filterLabel = filters.length > 0 ? ` (${filters.join(', ')})` : '';
+
+    const response = `🔎 <b>${t.searchResults}</b>: ${this.escapeHtml(search.query)}${filterLabel}\n\n${lines.join('\n\n')}`;
+    const options = {
+      ...replyOptions,
+      parse_mode: 'HTML',
+      disable_web_page_preview: true
+    };
+
+    if (results.length > SEARCH_PAGE_SIZE) {
+      options.reply_markup = {
+        inline_keyboard: [[
+          { text: t.searchMore, callback_data: `search:${searchId}:${offset + SEARCH_PAGE_SIZE}` }
+        ]]
+      };
+    }
+
+    bot.sendMessage(chat.id, response, options);
+  }
+
+  formatSearchResult(chat, row, position, timezone) {
+    const time = moment.unix(row.timestamp).tz(timezone).format('MMM DD, YYYY HH:mm');
+    const author = row.username ? `@${row.username}` : (row.first_name || 'Unknown');
+    const snippet = this.escapeHtml(row.snippet || '')
+      .split(SNIPPET_START).join('<b>')
+      .split(SNIPPET_END).join('</b>');
+
+    const messageLink = this.getMessageLink(chat, row.message_id);
+    const timeLabel = messageLink ? `<a href="${messageLink}">${time}</a>` : time;
+
+    return `${position}. <b>${this.escapeHtml(author)}</b> · ${timeLabel}\n${snippet}`;
+  }
+
+  async handleAsk(bot, msg, args) {
+    const chatId = msg.chat.id;
+    const replyOptions = this.getReplyOptions(msg);
+    const settings = await this.db.getChatSettings(chatId);
+    const t = this.getTranslations(settings.language);
+
+    try {
+      const { question, period } = this.parseAskArgs(args);
+      const keywords = extractKeywords(question);
+
+      if (!question || keywords.length === 0) {
+        bot.sendMessage(chatId, t.askUsage, replyOptions);
+        return;
+      }
+
+      if (await this.replyIfDailyLimitReached(bot, msg, chatId, t)) {
+        return;
+      }
+
+      bot.sendChatAction(chatId, 'typing', replyOptions);
+
+      // Without a period the whole stored history is searched
+      const timeRange = period ? this.parseTimePeriod(period) : null;
+      const matches = await this.db.searchMessages(chatId, keywords.join(' '), {
+        startTime: timeRange ? timeRange.start : null,
+        endTime: timeRange ? timeRange.end : null,
+        limit: ASK_MAX_MATCHES,
+        matchAll: false
+      });
+
+      if (matches.length === 0) {
+        bot.sendMessage(chatId, t.askNotFound, replyOptions);
+        return;
+      }
+
+      const selection = await this.summaryService.selectModel(settings.model, model => this.db.countModelUsageToday(model));
+      if (!selection) {
+        bot.sendMessage(chatId, t.modelCapReached(settings.model || this.summaryService.model), replyOptions);
+        return;
+      }
+
+      const excerpts = [];
+      for (const match of matches) {
+        excerpts.push(await this.db.getMessagesAround(chatId, match.message_id, ASK_CONTEXT_MESSAGES));
+      }
+
+      const stats = {};
+      const answer = await this.summaryService.answerQuestion(question, excerpts, {
+        language: settings.language,
+        timezone: settings.timezone,
+        model: selection.model,
+        stats
+      });
+
+      // Nothing is charged when no excerpt was left to send to the model
+      if (stats.modelCalled) {
+        await this.recordAiRequest(chatId, selection.model, 'ask');
+      }
+
+      if (!answer) {
+        bot.sendMessage(chatId, t.askNotFound, replyOptions);
+        return;
+      }
+
+      const periodLine = timeRange ? ` (${this.translateTimePeriod(timeRange.description, settings.language)})` : '';
+      bot.sendMessage(chatId, `❓ ${question}${periodLine}\n\n${answer}\n\n🔎 ${t.askBasis(matches.length)}`, replyOptions);
+    } catch (error) {
+      logger.error('Error in handleAsk:', error);
+      bot.sendMessage(chatId, t.errorAsk, replyOptions);
+    }
+  }
+
+  parseAskArgs(args) {
+    const tokens = (args || '').trim().split(/\s+/).filter(Boolean);
+
+    // An optional period ends the question: "/ask when is the release? 7d"
+    const period = tokens.length > 1 && PERIOD_PATTERN.test(tokens[tokens.length - 1]) ? tokens.pop() : null;
+    return { question: tokens.join(' '), period };
+  }
+
+  async handleCallbackQuery(bot, query) {
+    const [action, ...params] = (query.data || '').split(':');
+
+    if (action === 'search') {
+      await this.handleSearchMore(bot, query, params);
+      return;
+    }
+
+    if (action === 'history') {
+      await this.handleHistoryOpen(bot, query, params);
+      return;
+    }
+
+    if (action === 'settings') {
+      await this.handleSettingsCallback(bot, query, params);
+      return;
+    }
+
+    await bot.answerCallbackQuery(query.id);
+  }
+
+  async handleSearchMore(bot, query, [searchId, offset]) {
+    const message = query.message;
+    const settings = await this.db.getChatSettings(message.chat.id);
+    const t = this.getTranslations(settings.language);
+    const search = this.searches.get(searchId);
+
+    // Searches are kept in memory, so buttons stop working after a restart or an hour
+    if (!search || search.chatId !== message.chat.id) {
+      await bot.answerCallbackQuery(query.id, { text: t.searchExpired, show_alert: true });
+      return;
+    }
+
+    await bot.answerCallbackQuery(query.id);
+
+    // The button moves to the next page
+    await bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+      chat_id: message.chat.id,
+      message_id: message.message_id
+    });
+
+    await this.sendSearchPage(bot, message.chat, searchId, parseInt(offset), this.getReplyOptions(message));
+  }
+
+  async handleTodo(bot, msg, args) {
+    const chatId = msg.chat.id;
+    const replyOptions = this.getReplyOptions(msg);
+    const settings = await this.db.getChatSettings(chatId);
+    const t = this.getTranslations(settings.language);
+
+    try {
+      const { action, period, owner, number, invalid } = this.parseTodoArgs(args);
+
+      if (invalid) {
+        bot.sendMessage(chatId, t.todoUsage, replyOptions);
+        return;
+      }
+
+      if (action === 'done') {
+        const item = await this.db.completeActionItem(chatId, number, msg.from.id);
+        bot.sendMessage(chatId, item ? t.todoDone(item.item_number, item.task) : t.todoNotFound(number), replyOptions);
+        return;
+      }
+
+      let added = [];
+      if (action === 'extract') {
+        if (await this.replyIfDailyLimitReached(bot, msg, chatId, t)) {
+          return;
+        }
+
+        bot.sendChatAction(chatId, 'typing', replyOptions);
+
+        const selection = await this.summaryService.selectModel(settings.model, model => this.db.countModelUsageToday(model));
+        if (!selection) {
+          bot.sendMessage(chatId, t.modelCapReached(settings.model || this.summaryService.model), replyOptions);
+          return;
+        }
+
+        const timeRange = this.parseTimePeriod(period || '24h');
+        const messages = await this.db.getMessages(chatId, timeRange.start, timeRange.end);
+
+        if (messages.length === 0) {
+          bot.sendMessage(chatId, t.noMessages, replyOptions);
+          return;
+        }
+
+        const existingItems = await this.db.getActionItems(chatId);
+        const extracted = await this.summaryService.extractActionItems(messages, {
+          language: settings.language,
+          timezone: settings.timezone,
+          model: selection.model,
+          existingItems
+        });
+        await this.recordAiRequest(chatId, selection.model, 'todo');
+        added = await this.db.saveActionItems(chatId, extracted);
+      }
+
+      const items = await this.db.getActionItems(chatId, { owner });
+      if (items.length === 0) {
+        bot.sendMessage(chatId, owner ? t.todoEmptyForOwner(owner) : t.todoEmpty, replyOptions);
+        return;
+      }
+
+      const newNumbers = new Set(added.map(item => item.item_number));
+      const shown = items.slice(0, MAX_TODO_LISTED);
+      const lines = shown.map(item => this.formatActionItem(msg.chat, item, newNumbers.has(item.item_number)));
+
+      const ownerLabel = owner ? ` (@${this.escapeHtml(owner)})` : '';
+      let response = `📌 <b>${t.openActionItems}</b>${ownerLabel}\n\n${lines.join('\n')}`;
+
+      if (items.length > shown.length) {
+        response += `\n\n${t.showingFirstItems(shown.length, items.length)}`;
+      }
+      if (action === 'extract') {
+        response += `\n\n${added.length > 0 ? t.todoAdded(added.length) : t.todoNothingNew}`;
+      }
+      response += `\n${t.todoHint}`;
+
+      bot.sendMessage(chatId, response, {
+        ...replyOptions,
+        parse_mode: 'HTML',
+        disable_web_page_preview: true
+      });
+    } catch (error) {
+      logger.error('Error in handleTodo:', error);
+      bot.sendMessage(chatId, t.errorTodo, replyOptions);
+    }
+  }
+
+  /**
+   * "/todo [period] [@owner]" extracts new items and lists the open ones,
+   * "/todo list [@owner]" only lists them and "/todo done <n>" closes one.
+   */
+  parseTodoArgs(args) {
+    const tokens = (args || '').trim().split(/\s+/).filter(Boolean);
+    const keyword = (tokens[0] || '').toLowerCase();
+
+    if (keyword === 'done') {
+      const number = parseInt(tokens[1]);
+      return { action: 'done', number, invalid: tokens.length !== 2 || !(number > 0) };
+    }
+
+    const action = keyword === 'list' ? 'list' : 'extract';
+    let period = null;
+    let owner = null;
+    let invalid = false;
+
+    for (const token of action === 'list' ? tokens.slice(1) : tokens) {
+      if (action === 'extract' && !period && PERIOD_PATTERN.test(token)) {
+        period = token;
+      } else if (!owner && /^@\w+$/.test(token)) {
+        owner = token.slice(1);
+      } else {
+        invalid = true;
+      }
+    }
+
+    return { action, period, owner, invalid };
+  }
+
+  formatActionItem(chat, item, isNew = false) {
+    let line = `${item.item_number}. ${this.escapeHtml(item.task)}`;
+
+    if (item.owner) {
+      line += ` — ${this.escapeHtml(/\s/.test(item.owner) ? item.owner : `@${item.owner}`)}`;
+    }
+    if (item.due_date) {
+      line += ` 📅 ${item.due_date}`;
+    }
+
+    const messageLink = item.source_message_id ? this.getMessageLink(chat, item.source_message_id) : null;
+    if (messageLink) {
+      line += ` (<a href="${messageLink}">↗</a>)`;
+    }
+
+    return isNew ? `${line} 🆕` : line;
   }
 
   async handleStats(bot, msg) {
@@ -102,9 +991,12 @@ ${processedSummary}
       const t = this.getTranslations(settings.language);
       
       const stats = await this.db.getChatStats(chatId);
+      const retentionSection = this.getRetentionSection(settings, t);
+      const optOutSection = await this.getOptOutSection(bot, msg, t);
+      const bufferSection = await this.getWriteBufferSection(msg, t);
       
       if (stats.total_messages === 0) {
-        bot.sendMessage(chatId, t.statsNone);
+        bot.sendMessage(chatId, t.statsNone + retentionSection + optOutSection + bufferSection, { parse_mode: 'Markdown' });
         return;
       }
 
@@ -113,38 +1005,327 @@ ${processedSummary}
       
       const response = t.stats(stats.total_messages, stats.unique_users, firstMessage, lastMessage, moment.unix(stats.first_message).fromNow());
 
-      bot.sendMessage(chatId, response, { parse_mode: 'Markdown' });
-      
+      bot.sendMessage(chatId, response + retentionSection + optOutSection + bufferSection, { parse_mode: 'Markdown' });
+      
+    } catch (error) {
+      logger.error('Error in handleStats:', error);
+      bot.sendMessage(chatId, t.errorStats);
+    }
+  }
+
+  async getOptOutSection(bot, msg, t) {
+    // The opt-out list is only shown to admins
+    const isAdminUser = await this.isAdmin(bot, msg.chat.id, msg.from.id);
+    const isOwner = await this.isBotOwner(msg.from.id);
+
+    if (!isAdminUser && !isOwner) {
+      return '';
+    }
+
+    const optedOutUsers = await this.db.getOptedOutUsers(msg.chat.id);
+    if (optedOutUsers.length === 0) {
+      return '';
+    }
+
+    const names = optedOutUsers
+      .map(user => this.escapeMarkdown(user.display_name || String(user.user_id)))
+      .join(', ');
+
+    return t.optedOutUsers(optedOutUsers.length, names);
+  }
+
+  async getWriteBufferSection(msg, t) {
+    // Write buffer health is bot-wide, so only bot owners see it
+    if (!this.messageBuffer || !(await this.isBotOwner(msg.from.id))) {
+      return '';
+    }
+
+    return t.writeBuffer(this.messageBuffer.getStats());
+  }
+
+  async handleOptOut(bot, msg) {
+    const chatId = msg.chat.id;
+    const settings = await this.db.getChatSettings(chatId);
+    const t = this.getTranslations(settings.language);
+
+    if (!msg.from) {
+      return;
+    }
+
+    try {
+      const alreadyOptedOut = await this.db.isUserOptedOut(chatId, msg.from.id);
+      const deletedCount = await this.db.optOutUser(chatId, msg.from.id, this.getDisplayName(msg.from));
+
+      bot.sendMessage(chatId, alreadyOptedOut ? t.alreadyOptedOut : t.optedOut(deletedCount));
+    } catch (error) {
+      logger.error('Error in handleOptOut:', error);
+      bot.sendMessage(chatId, t.errorOptOut);
+    }
+  }
+
+  async handleOptIn(bot, msg) {
+    const chatId = msg.chat.id;
+    const settings = await this.db.getChatSettings(chatId);
+    const t = this.getTranslations(settings.language);
+
+    if (!msg.from) {
+      return;
+    }
+
+    try {
+      const removed = await this.db.optInUser(chatId, msg.from.id);
+      bot.sendMessage(chatId, removed > 0 ? t.optedIn : t.notOptedOut);
+    } catch (error) {
+      logger.error('Error in handleOptIn:', error);
+      bot.sendMessage(chatId, t.errorOptOut);
+    }
+  }
+
+  getDisplayName(user) {
+    if (user.username) {
+      return `@${user.username}`;
+    }
+    return [user.first_name, user.last_name].filter(Boolean).join(' ') || String(user.id);
+  }
+
+  escapeMarkdown(text) {
+    // Legacy Markdown only treats these characters as entities
+    return text.replace(/([_*`\[])/g, '\\$1');
+  }
+
+  async handleClear(bot, msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+
+    // Check if user is admin or bot owner
+    const isAdminUser = await this.isAdmin(bot, chatId, userId);
+    const isOwner = await this.isBotOwner(userId);
+    
+    if (!isAdminUser && !isOwner) {
+      const settings = await this.db.getChatSettings(chatId);
+      const t = this.getTranslations(settings.language);
+      bot.sendMessage(chatId, t.onlyAdminsClear);
+      return;
+    }
+
+    try {
+      const settings = await this.db.getChatSettings(chatId);
+      const t = this.getTranslations(settings.language);
+      
+      const deletedCount = await this.db.clearChatHistory(chatId);
+      bot.sendMessage(chatId, t.cleared(deletedCount));
+    } catch (error) {
+      logger.error('Error in handleClear:', error);
+      bot.sendMessage(chatId, t.errorClear);
+    }
+  }
+
+  async handleSettings(bot, msg) {
+    const chatId = msg.chat.id;
+    const settings = await this.db.getChatSettings(chatId);
+    const t = this.getTranslations(settings.language);
+
+    try {
+      const text = await this.getSettingsOverview(chatId, settings, t);
+      bot.sendMessage(chatId, `${text}\n\n${t.settingsHint}`, {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: this.getSettingsMenu(t) }
+      });
+    } catch (error) {
+      logger.error('Error in handleSettings:', error);
+      bot.sendMessage(chatId, t.errorSettings);
+    }
+  }
+
+  async getSettingsOverview(chatId, settings, t) {
+    const schedules = await this.db.getActiveSchedules(chatId);
+    const scheduleKey = schedules.length > 0
+      ? Object.keys(SCHEDULE_OPTIONS).find(key => SCHEDULE_OPTIONS[key].hours === schedules[0].interval_hours)
+      : 'off';
+    const scheduleLabel = t.scheduleOptions[scheduleKey] || t.scheduleEvery(schedules[0].interval_hours);
+    const retentionDays = this.db.getEffectiveRetentionDays(settings.retention_days);
+
+    return [
+      t.settingsTitle,
+      '',
+      `${t.settingLanguage}: ${SUPPORTED_LANGUAGES[settings.language] || settings.language}`,
+      `${t.settingLength}: ${t.lengthLabel(settings.summary_length)}`,
+      `${t.settingStyle}: ${t.styleNames[settings.summary_style] || t.styleNames.detailed}`,
+      `${t.settingTimezone}: ${SUPPORTED_TIMEZONES[settings.timezone] || this.escapeMarkdown(settings.timezone)}`,
+      `${t.settingSchedule}: ${scheduleLabel}`,
+      `${t.settingRetention}: ${retentionDays ? t.retentionLabel(retentionDays) : t.retentionKeep}`,
+      `${t.settingModel}: ${this.escapeMarkdown(settings.model || this.summaryService.model)}`
+    ].join('\n');
+  }
+
+  getSettingsMenu(t) {
+    return [
+      [
+        { text: t.settingLanguage, callback_data: 'settings:open:language' },
+        { text: t.settingLength, callback_data: 'settings:open:length' }
+      ],
+      [
+        { text: t.settingStyle, callback_data: 'settings:open:style' },
+        { text: t.settingTimezone, callback_data: 'settings:open:timezone' }
+      ],
+      [
+        { text: t.settingSchedule, callback_data: 'settings:open:schedule' },
+        { text: t.settingRetention, callback_data: 'settings:open:retention' }
+      ],
+      [{ text: t.settingModel, callback_data: 'settings:open:model' }],
+      [{ text: t.settingsClose, callback_data: 'settings:close' }]
+    ];
+  }
+
+  /**
+   * Keyboard with the choices for one setting; the current value is ticked.
+   * Every button is "settings:set:<setting>:<value>", well under the 64 byte limit.
+   */
+  async getSettingsOptions(chatId, setting, settings, t) {
+    let options;
+    let perRow;
+
+    if (setting === 'language') {
+      options = Object.entries(SUPPORTED_LANGUAGES).map(([code, name]) => [code, name, code === settings.language]);
+      perRow = 3;
+    } else if (setting === 'length') {
+      options = LENGTH_PRESETS.map(length => [length, t.lengthLabel(length), length === settings.summary_length]);
+      perRow = 2;
+    } else if (setting === 'style') {
+      options = SUMMARY_STYLES.map(style => [style, t.styleNames[style], style === (settings.summary_style || DEFAULT_STYLE)]);
+      perRow = 2;
+    } else if (setting === 'timezone') {
+      options = Object.entries(SUPPORTED_TIMEZONES).map(([code, name]) => [code, name, code === settings.timezone]);
+      perRow = 2;
+    } else if (setting === 'schedule') {
+      const schedules = await this.db.getActiveSchedules(chatId);
+      const currentHours = schedules.length > 0 ? schedules[0].interval_hours : null;
+      options = Object.keys(SCHEDULE_OPTIONS)
+        .map(key => [key, t.scheduleOptions[key], SCHEDULE_OPTIONS[key].hours === currentHours])
+        .concat([['off', t.scheduleOptions.off, currentHours === null]]);
+      perRow = 2;
+    } else if (setting === 'retention') {
+      options = RETENTION_PRESETS
+        .map(days => [days, t.retentionLabel(days), days === settings.retention_days])
+        .concat([['off', t.retentionKeep, !settings.retention_days]]);
+      perRow = 2;
+    } else if (setting === 'model') {
+      const current = settings.model || this.summaryService.model;
+      // Names too long for the 64 byte callback data can still be picked with /model
+      options = [...this.summaryService.allowedModels.keys()]
+        .filter(model => Buffer.byteLength(`settings:set:model:${model}`) <= 64)
+        .map(model => [model, model, model === current]);
+      perRow = 1;
+    } else {
+      return null;
+    }
+
+    const buttons = options.map(([value, label, current]) => ({
+      text: current ? `✅ ${label}` : label,
+      callback_data: `settings:set:${setting}:${value}`
+    }));
+
+    const keyboard = [];
+    for (let i = 0; i < buttons.length; i += perRow) {
+      keyboard.push(buttons.slice(i, i + perRow));
+    }
+    keyboard.push([{ text: t.settingsBack, callback_data: 'settings:menu' }]);
+
+    return keyboard;
+  }
+
+  /**
+   * Saves a value picked in the settings panel. Values come from our own buttons,
+   * but callback data can be forged, so they are validated like typed commands.
+   */
+  async applySetting(chatId, setting, value) {
+    if (setting === 'language' && SUPPORTED_LANGUAGES[value]) {
+      await this.db.updateChatSettings(chatId, { language: value });
+    } else if (setting === 'length' && LENGTH_PRESETS.includes(parseInt(value))) {
+      await this.db.updateChatSettings(chatId, { summary_length: parseInt(value) });
+    } else if (setting === 'style' && isSummaryStyle(value)) {
+      await this.db.updateChatSettings(chatId, { summary_style: value });
+    } else if (setting === 'timezone' && SUPPORTED_TIMEZONES[value]) {
+      await this.db.updateChatSettings(chatId, { timezone: value });
+    } else if (setting === 'schedule' && value === 'off') {
+      await this.db.deleteSchedule(chatId);
+    } else if (setting === 'schedule' && SCHEDULE_OPTIONS[value]) {
+      await this.db.createSchedule(chatId, SCHEDULE_OPTIONS[value].type, SCHEDULE_OPTIONS[value].hours, { deliveryChatId: chatId });
+    } else if (setting === 'model' && this.summaryService.isModelAllowed(value)) {
+      await this.db.updateChatSettings(chatId, { model: value === this.summaryService.model ? null : value });
+    } else if (setting === 'retention' && (value === 'off' || RETENTION_PRESETS.includes(parseInt(value)))) {
+      await this.db.updateChatSettings(chatId, { retention_days: value === 'off' ? null : parseInt(value) });
+    } else {
+      return false;
+    }
+
+    return true;
+  }
+
+  async handleSettingsCallback(bot, query, [action, setting, ...rest]) {
+    const message = query.message;
+    const chatId = message.chat.id;
+    let settings = await this.db.getChatSettings(chatId);
+    let t = this.getTranslations(settings.language);
+
+    // Button presses get the same admin check as the typed commands
+    const isAdminUser = await this.isAdmin(bot, chatId, query.from.id);
+    const isOwner = await this.isBotOwner(query.from.id);
+
+    if (!isAdminUser && !isOwner) {
+      await bot.answerCallbackQuery(query.id, { text: t.onlyAdmins, show_alert: true });
+      return;
+    }
+
+    try {
+      if (action === 'close') {
+        await bot.answerCallbackQuery(query.id);
+        await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: message.message_id });
+        return;
+      }
+
+      let keyboard = null;
+
+      if (action === 'set') {
+        // Model names may contain colons (llama3.1:8b), so keep everything after the setting
+        if (!(await this.applySetting(chatId, setting, rest.join(':')))) {
+          await bot.answerCallbackQuery(query.id, { text: t.errorSettings, show_alert: true });
+          return;
+        }
+
+        // A new language changes the panel's own texts too
+        settings = await this.db.getChatSettings(chatId);
+        t = this.getTranslations(settings.language);
+        await bot.answerCallbackQuery(query.id, { text: t.settingsSaved });
+      } else {
+        if (action === 'open') {
+          keyboard = await this.getSettingsOptions(chatId, setting, settings, t);
+        }
+        await bot.answerCallbackQuery(query.id);
+      }
+
+      const overview = await this.getSettingsOverview(chatId, settings, t);
+      const text = `${overview}\n\n${keyboard ? t.settingsChoose : t.settingsHint}`;
+      await this.editSettingsPanel(bot, message, text, keyboard || this.getSettingsMenu(t));
     } catch (error) {
-      logger.error('Error in handleStats:', error);
-      bot.sendMessage(chatId, t.errorStats);
+      logger.error('Error in handleSettingsCallback:', error);
+      bot.sendMessage(chatId, t.errorSettings);
     }
   }
 
-  async handleClear(bot, msg) {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id;
-
-    // Check if user is admin or bot owner
-    const isAdminUser = await this.isAdmin(bot, chatId, userId);
-    const isOwner = await this.isBotOwner(userId);
-    
-    if (!isAdminUser && !isOwner) {
-      const settings = await this.db.getChatSettings(chatId);
-      const t = this.getTranslations(settings.language);
-      bot.sendMessage(chatId, t.onlyAdminsClear);
-      return;
-    }
-
+  async editSettingsPanel(bot, message, text, keyboard) {
     try {
-      const settings = await this.db.getChatSettings(chatId);
-      const t = this.getTranslations(settings.language);
-      
-      const deletedCount = await this.db.clearChatHistory(chatId);
-      bot.sendMessage(chatId, t.cleared(deletedCount));
+      await bot.editMessageText(text, {
+        chat_id: message.chat.id,
+        message_id: message.message_id,
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: keyboard }
+      });
     } catch (error) {
-      logger.error('Error in handleClear:', error);
-      bot.sendMessage(chatId, t.errorClear);
+      // Picking the value that is already set leaves the panel unchanged, which Telegram rejects
+      if (!/message is not modified/.test(error.message)) {
+        throw error;
+      }
     }
   }
 
@@ -163,34 +1344,15 @@ ${processedSummary}
       return;
     }
 
-    const supportedLanguages = {
-      'en': '🇺🇸 English',
-      'es': '🇪🇸 Spanish',
-      'fr': '🇫🇷 French', 
-      'de': '🇩🇪 German',
-      'it': '🇮🇹 Italian',
-      'pt': '🇵🇹 Portuguese',
-      'ru': '🇷🇺 Russian',
-      'ja': '🇯🇵 Japanese',
-      'ko': '🇰🇷 Korean',
-      'zh': '🇨🇳 Chinese',
-      'ar': '🇸🇦 Arabic',
-      'hi': '🇮🇳 Hindi',
-      'uk': '🇺🇦 Ukrainian',
-      'pl': '🇵🇱 Polish',
-      'nl': '🇳🇱 Dutch',
-      'tr': '🇹🇷 Turkish'
-    };
-
     try {
       const settings = await this.db.getChatSettings(chatId);
       const t = this.getTranslations(settings.language);
       
       if (!languageCode) {
         // Show current language and available options
-        const currentLang = supportedLanguages[settings.language] || '🇺🇸 English';
+        const currentLang = SUPPORTED_LANGUAGES[settings.language] || '🇺🇸 English';
         
-        const languageList = Object.entries(supportedLanguages)
+        const languageList = Object.entries(SUPPORTED_LANGUAGES)
           .map(([code, name]) => `• /language ${code} - ${name}`)
           .join('\n');
         
@@ -208,13 +1370,13 @@ ${languageList}
         return;
       }
 
-      if (!supportedLanguages[languageCode]) {
+      if (!SUPPORTED_LANGUAGES[languageCode]) {
         bot.sendMessage(chatId, t.notSupportedLanguage(languageCode));
         return;
       }
 
-      await this.db.setChatLanguage(chatId, languageCode);
-      const languageName = supportedLanguages[languageCode];
+      await this.db.updateChatSettings(chatId, { language: languageCode });
+      const languageName = SUPPORTED_LANGUAGES[languageCode];
       bot.sendMessage(chatId, t.languageSet(languageName));
       
     } catch (error) {
@@ -272,7 +1434,7 @@ ${t.currentLength(settings.summary_length)}
         return;
       }
 
-      await this.db.setSummaryLength(chatId, length);
+      await this.db.updateChatSettings(chatId, { summary_length: length });
       const description = length < 1000 ? t.shorterConcise : length < 2000 ? t.detailed : t.veryComprehensive;
       bot.sendMessage(chatId, t.lengthSet(length, description));
       
@@ -299,35 +1461,15 @@ ${t.currentLength(settings.summary_length)}
       return;
     }
 
-    const supportedTimezones = {
-      'UTC': '🌍 UTC (Coordinated Universal Time)',
-      'Europe/Kyiv': '🇺🇦 Kyiv (EET/EEST)',
-      'America/New_York': '🇺🇸 Eastern Time (ET)',
-      'America/Chicago': '🇺🇸 Central Time (CT)',
-      'America/Denver': '🇺🇸 Mountain Time (MT)',
-      'America/Los_Angeles': '🇺🇸 Pacific Time (PT)',
-      'Europe/London': '🇬🇧 London (GMT/BST)',
-      'Europe/Paris': '🇫🇷 Paris (CET/CEST)',
-      'Europe/Berlin': '🇩🇪 Berlin (CET/CEST)',
-      'Europe/Moscow': '🇷🇺 Moscow (MSK)',
-      'Asia/Tokyo': '🇯🇵 Tokyo (JST)',
-      'Asia/Shanghai': '🇨🇳 Shanghai (CST)',
-      'Asia/Seoul': '🇰🇷 Seoul (KST)',
-      'Asia/Dubai': '🇦🇪 Dubai (GST)',
-      'Asia/Kolkata': '🇮🇳 Mumbai (IST)',
-      'Australia/Sydney': '🇦🇺 Sydney (AEDT/AEST)',
-      'Pacific/Auckland': '🇳🇿 Auckland (NZDT/NZST)'
-    };
-
     try {
       const settings = await this.db.getChatSettings(chatId);
       const t = this.getTranslations(settings.language);
       
       if (!timezoneCode) {
         // Show current timezone and available options
-        const currentTz = supportedTimezones[settings.timezone] || '🌍 UTC (Coordinated Universal Time)';
+        const currentTz = SUPPORTED_TIMEZONES[settings.timezone] || '🌍 UTC (Coordinated Universal Time)';
         
-        const timezoneList = Object.entries(supportedTimezones)
+        const timezoneList = Object.entries(SUPPORTED_TIMEZONES)
           .map(([code, name]) => `• \`/timezone ${code}\` \\- ${name}`)
           .join('\n');
         
@@ -347,13 +1489,13 @@ ${timezoneList}
         return;
       }
 
-      if (!supportedTimezones[timezoneCode]) {
+      if (!SUPPORTED_TIMEZONES[timezoneCode]) {
         bot.sendMessage(chatId, t.notSupportedTimezone(timezoneCode));
         return;
       }
 
-      await this.db.setChatTimezone(chatId, timezoneCode);
-      const timezoneName = supportedTimezones[timezoneCode];
+      await this.db.updateChatSettings(chatId, { timezone: timezoneCode });
+      const timezoneName = SUPPORTED_TIMEZONES[timezoneCode];
       bot.sendMessage(chatId, t.timezoneSet(timezoneName));
       
     } catch (error) {
@@ -364,28 +1506,296 @@ ${timezoneList}
     }
   }
 
-  async handleSchedule(bot, msg, action) {
+  async handleModel(bot, msg, modelName) {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
+    const settings = await this.db.getChatSettings(chatId);
+    const t = this.getTranslations(settings.language);
 
     // Check if user is admin or bot owner
     const isAdminUser = await this.isAdmin(bot, chatId, userId);
     const isOwner = await this.isBotOwner(userId);
-    
+
     if (!isAdminUser && !isOwner) {
-      const settings = await this.db.getChatSettings(chatId);
-      const t = this.getTranslations(settings.language);
       bot.sendMessage(chatId, t.onlyAdmins);
       return;
     }
 
     try {
-      const settings = await this.db.getChatSettings(chatId);
-      const t = this.getTranslations(settings.language);
+      const defaultModel = this.summaryService.model;
+
+      if (!modelName) {
+        const lines = [];
+        for (const [model, cap] of this.summaryService.allowedModels) {
+          const usage = cap ? t.modelUsageToday(await this.db.countModelUsageToday(model), cap) : t.modelNoCap;
+          const label = model === defaultModel ? `${model} ${t.modelDefault}` : model;
+          lines.push(`• ${label} - ${usage}`);
+        }
+
+        bot.sendMessage(chatId, [
+          t.currentModel(settings.model || defaultModel),
+          '',
+          t.availableModels,
+          ...lines,
+          '',
+          t.modelUsage
+        ].join('\n'));
+        return;
+      }
+
+      const model = modelName.trim();
+
+      if (model === 'default') {
+        await this.db.updateChatSettings(chatId, { model: null });
+        bot.sendMessage(chatId, t.modelReset(defaultModel));
+        return;
+      }
+
+      if (!this.summaryService.isModelAllowed(model)) {
+        bot.sendMessage(chatId, t.modelNotAllowed(model));
+        return;
+      }
+
+      // Storing the default by name would pin the chat to it if the operator changes the default
+      await this.db.updateChatSettings(chatId, { model: model === defaultModel ? null : model });
+      bot.sendMessage(chatId, t.modelSet(model));
+    } catch (error) {
+      logger.error('Error in handleModel:', error);
+      bot.sendMessage(chatId, t.errorSetModel);
+    }
+  }
+
+  async handleStyle(bot, msg, styleName) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const settings = await this.db.getChatSettings(chatId);
+    const t = this.getTranslations(settings.language);
+
+    // Check if user is admin or bot owner
+    const isAdminUser = await this.isAdmin(bot, chatId, userId);
+    const isOwner = await this.isBotOwner(userId);
+
+    if (!isAdminUser && !isOwner) {
+      bot.sendMessage(chatId, t.onlyAdmins);
+      return;
+    }
+
+    try {
+      if (!styleName) {
+        const styleList = SUMMARY_STYLES
+          .map(style => `• /style ${style} - ${t.styleNames[style]}: ${t.styleDescriptions[style]}`)
+          .join('\n');
+
+        bot.sendMessage(chatId, [
+          t.currentStyle(t.styleNames[settings.summary_style] || t.styleNames.detailed),
+          '',
+          t.availableStyles,
+          styleList,
+          '',
+          t.styleUsage
+        ].join('\n'));
+        return;
+      }
+
+      const style = styleName.trim().toLowerCase();
+
+      if (!isSummaryStyle(style)) {
+        bot.sendMessage(chatId, t.invalidStyle(style));
+        return;
+      }
+
+      await this.db.updateChatSettings(chatId, { summary_style: style });
+      bot.sendMessage(chatId, t.styleSet(t.styleNames[style]));
+    } catch (error) {
+      logger.error('Error in handleStyle:', error);
+      bot.sendMessage(chatId, t.errorSetStyle);
+    }
+  }
+
+  async handlePrompt(bot, msg, args) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const settings = await this.db.getChatSettings(chatId);
+    const t = this.getTranslations(settings.language);
+
+    // Check if user is admin or bot owner
+    const isAdminUser = await this.isAdmin(bot, chatId, userId);
+    const isOwner = await this.isBotOwner(userId);
+
+    if (!isAdminUser && !isOwner) {
+      bot.sendMessage(chatId, t.onlyAdmins);
+      return;
+    }
+
+    try {
+      const input = (args || '').trim();
+      const [action] = input.split(/\s+/);
+      const maxLength = this.summaryService.MAX_CUSTOM_PROMPT_LENGTH;
+
+      if (!input) {
+        const current = settings.custom_prompt ? t.currentPrompt(settings.custom_prompt) : t.noCustomPrompt;
+        bot.sendMessage(chatId, `${current}\n\n${t.promptUsage(maxLength)}`);
+        return;
+      }
+
+      if (action.toLowerCase() === 'reset') {
+        await this.db.updateChatSettings(chatId, { custom_prompt: null });
+        bot.sendMessage(chatId, t.promptReset);
+        return;
+      }
+
+      if (action.toLowerCase() === 'preview') {
+        const { system, prompt } = this.summaryService.previewPrompt({
+          language: settings.language,
+          maxLength: settings.summary_length,
+          style: settings.summary_style,
+          customPrompt: settings.custom_prompt
+        });
+        bot.sendMessage(chatId, `${t.promptPreview}\n\n[system]\n${system}\n\n[user]\n${prompt}`);
+        return;
+      }
+
+      if (action.toLowerCase() !== 'set') {
+        bot.sendMessage(chatId, t.promptUsage(maxLength));
+        return;
+      }
+
+      // Keep the admin's line breaks: everything after "set" is the instruction text
+      const text = input.slice(action.length).trim();
+      if (text.length > maxLength) {
+        bot.sendMessage(chatId, t.promptTooLong(text.length, maxLength));
+        return;
+      }
+
+      const instructions = this.summaryService.normalizeCustomPrompt(text);
+      if (!instructions) {
+        bot.sendMessage(chatId, t.promptUsage(maxLength));
+        return;
+      }
+
+      await this.db.updateChatSettings(chatId, { custom_prompt: instructions });
+      bot.sendMessage(chatId, t.promptSet(instructions));
+    } catch (error) {
+      logger.error('Error in handlePrompt:', error);
+      bot.sendMessage(chatId, t.errorSetPrompt);
+    }
+  }
+
+  async handleRetention(bot, msg, period) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+
+    const settings = await this.db.getChatSettings(chatId);
+    const t = this.getTranslations(settings.language);
+
+    // Check if user is admin or bot owner
+    const isAdminUser = await this.isAdmin(bot, chatId, userId);
+    const isOwner = await this.isBotOwner(userId);
+
+    if (!isAdminUser && !isOwner) {
+      bot.sendMessage(chatId, t.onlyAdmins);
+      return;
+    }
+
+    try {
+      if (!period) {
+        bot.sendMessage(chatId, this.getRetentionSection(settings, t).trim() + '\n\n' + t.retentionUsage);
+        return;
+      }
+
+      const value = period.trim().toLowerCase();
+      let retentionDays = null;
+
+      if (value !== 'off') {
+        const match = /^(\d+)\s*([dwmy])?$/.exec(value);
+        retentionDays = match ? parseInt(match[1]) * RETENTION_UNITS[match[2] || 'd'] : NaN;
+
+        if (isNaN(retentionDays) || retentionDays < 1 || retentionDays > MAX_RETENTION_DAYS) {
+          bot.sendMessage(chatId, t.invalidRetention);
+          return;
+        }
+      }
+
+      await this.db.updateChatSettings(chatId, { retention_days: retentionDays });
+
+      const effectiveDays = this.db.getEffectiveRetentionDays(retentionDays);
+      let response = retentionDays ? t.retentionSet(retentionDays) : t.retentionDisabled;
+      if (effectiveDays && effectiveDays !== retentionDays) {
+        response += '\n\n' + t.retentionCapped(effectiveDays);
+      }
+
+      bot.sendMessage(chatId, response);
+    } catch (error) {
+      logger.error('Error in handleRetention:', error);
+      bot.sendMessage(chatId, t.errorSetRetention);
+    }
+  }
+
+  async handleBackup(bot, msg) {
+    const chatId = msg.chat.id;
+    const settings = await this.db.getChatSettings(chatId);
+    const t = this.getTranslations(settings.language);
+
+    // Backups contain every chat, so only bot owners may trigger them
+    if (!this.backupService || !(await this.isBotOwner(msg.from.id))) {
+      bot.sendMessage(chatId, t.onlyOwner);
+      return;
+    }
+
+    try {
+      await bot.sendMessage(chatId, t.backupStarted);
+      const { file, size } = await this.backupService.createBackup();
+      bot.sendMessage(chatId, t.backupDone(path.basename(file), this.formatFileSize(size), this.backupService.keep));
+    } catch (error) {
+      logger.error('Error in handleBackup:', error);
+      bot.sendMessage(chatId, t.errorBackup);
+    }
+  }
+
+  formatFileSize(bytes) {
+    if (bytes < 1024 * 1024) {
+      return `${(bytes / 1024).toFixed(1)} KB`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  getRetentionSection(settings, t) {
+    const effectiveDays = this.db.getEffectiveRetentionDays(settings.retention_days);
+    // The chat's own window doesn't apply when the operator's maximum is shorter
+    const enforcedByServer = effectiveDays !== null && effectiveDays !== settings.retention_days;
+    return t.retentionPolicy(effectiveDays, enforcedByServer);
+  }
+
+  async handleSchedule(bot, msg, args) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+
+    const settings = await this.db.getChatSettings(chatId);
+    const t = this.getTranslations(settings.language);
+
+    // "/schedule channel ..." schedules digests of a channel, delivered to this chat
+    const source = await this.resolveSourceChat(bot, msg, args, t);
+    if (!source) {
+      return;
+    }
+
+    if (!source.channel) {
+      // Check if user is admin or bot owner
+      const isAdminUser = await this.isAdmin(bot, chatId, userId);
+      const isOwner = await this.isBotOwner(userId);
       
+      if (!isAdminUser && !isOwner) {
+        bot.sendMessage(chatId, t.onlyAdmins);
+        return;
+      }
+    }
+
+    const action = source.args ? source.args.trim() : null;
+
+    try {
       if (!action) {
         // Show current schedule and available options
-        const schedules = await this.db.getActiveSchedules(chatId);
+        const schedules = await this.db.getActiveSchedules(source.chatId);
         
         let currentSchedule = 'None';
         if (schedules.length > 0) {
@@ -419,32 +1829,18 @@ ${t.currentSchedule(currentSchedule)}
       }
 
       if (action === 'off') {
-        await this.db.deleteSchedule(chatId);
+        await this.db.deleteSchedule(source.chatId);
         bot.sendMessage(chatId, t.scheduleCancelled);
         return;
       }
 
-      let scheduleType, intervalHours;
-      
-      switch (action) {
-        case 'daily':
-          scheduleType = 'daily';
-          intervalHours = 24;
-          break;
-        case 'weekly':
-          scheduleType = 'weekly';
-          intervalHours = 168; // 7 days
-          break;
-        case '3days':
-          scheduleType = 'custom';
-          intervalHours = 72; // 3 days
-          break;
-        default:
-          bot.sendMessage(chatId, t.invalidSchedule);
-          return;
+      const option = SCHEDULE_OPTIONS[action];
+      if (!option) {
+        bot.sendMessage(chatId, t.invalidSchedule);
+        return;
       }
 
-      await this.db.createSchedule(chatId, scheduleType, intervalHours);
+      await this.db.createSchedule(source.chatId, option.type, option.hours, { deliveryChatId: chatId });
       
       let scheduleText;
       switch (action) {
@@ -463,37 +1859,42 @@ ${t.currentSchedule(currentSchedule)}
       
     } catch (error) {
       logger.error('Error in handleSchedule:', error);
-      const settings = await this.db.getChatSettings(chatId);
-      const t = this.getTranslations(settings.language);
       bot.sendMessage(chatId, t.errorSetSchedule);
     }
   }
 
-  async handleExport(bot, msg, period) {
+  async handleExport(bot, msg, args) {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
 
-    // Check if user is admin or bot owner
-    const isAdminUser = await this.isAdmin(bot, chatId, userId);
-    const isOwner = await this.isBotOwner(userId);
-    
-    if (!isAdminUser && !isOwner) {
-      const settings = await this.db.getChatSettings(chatId);
-      const t = this.getTranslations(settings.language);
-      bot.sendMessage(chatId, t.onlyAdmins);
+    const settings = await this.db.getChatSettings(chatId);
+    const t = this.getTranslations(settings.language);
+
+    // "/export channel ..." exports a broadcast channel instead of this chat
+    const source = await this.resolveSourceChat(bot, msg, args, t);
+    if (!source) {
       return;
     }
 
-    try {
-      const settings = await this.db.getChatSettings(chatId);
-      const t = this.getTranslations(settings.language);
+    if (!source.channel) {
+      // Check if user is admin or bot owner
+      const isAdminUser = await this.isAdmin(bot, chatId, userId);
+      const isOwner = await this.isBotOwner(userId);
       
+      if (!isAdminUser && !isOwner) {
+        bot.sendMessage(chatId, t.onlyAdmins);
+        return;
+      }
+    }
+
+    try {
       // Show typing indicator
       bot.sendChatAction(chatId, 'typing');
 
+      const period = source.args ? source.args.trim() : null;
       const timeRange = this.parseTimePeriod(period || '24h');
       const messages = await this.db.getMessages(
-        chatId, 
+        source.chatId, 
         timeRange.start, 
         timeRange.end
       );
@@ -511,9 +1912,11 @@ ${t.currentSchedule(currentSchedule)}
 
       const dateFormat = this.getLocalizedDate(timeRange.start, timeRange.end, settings.language, settings.timezone);
       
+      const channelLine = source.channel ? `\n📢 ${t.channel}: ${source.channel.title}` : '';
+
       const response = `
 📄 ${t.chatExport} (${this.translateTimePeriod(timeRange.description, settings.language)})
-📅 ${dateFormat}
+📅 ${dateFormat}${channelLine}
 💬 ${messages.length} ${t.messagesAnalyzed}
 
 ${exportResult}
@@ -524,12 +1927,74 @@ ${exportResult}
       
     } catch (error) {
       logger.error('Error in handleExport:', error);
-      const settings = await this.db.getChatSettings(chatId);
-      const t = this.getTranslations(settings.language);
       bot.sendMessage(chatId, t.errorExport);
     }
   }
 
+  async handleImport(bot, msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+
+    // Check if user is admin or bot owner
+    const isAdminUser = await this.isAdmin(bot, chatId, userId);
+    const isOwner = await this.isBotOwner(userId);
+
+    const settings = await this.db.getChatSettings(chatId);
+    const t = this.getTranslations(settings.language);
+
+    if (!isAdminUser && !isOwner) {
+      bot.sendMessage(chatId, t.onlyAdmins);
+      return;
+    }
+
+    // Either sent as the caption of result.json, or as a reply to it
+    const document = msg.document || msg.reply_to_message?.document;
+    if (!document) {
+      bot.sendMessage(chatId, t.importUsage);
+      return;
+    }
+
+    if (document.file_size > MAX_IMPORT_FILE_SIZE) {
+      bot.sendMessage(chatId, t.importTooLarge);
+      return;
+    }
+
+    try {
+      bot.sendChatAction(chatId, 'typing');
+
+      let exportData;
+      try {
+        exportData = await this.downloadJson(bot, document.file_id);
+        this.exportImporter.validate(exportData);
+      } catch (error) {
+        logger.warn(`Rejected import file in chat ${chatId}: ${error.message}`);
+        bot.sendMessage(chatId, t.importInvalid);
+        return;
+      }
+
+      // Refuse exports of another chat so histories don't get mixed
+      const exportChatId = this.exportImporter.getChatId(exportData);
+      if (exportChatId && exportChatId !== chatId) {
+        bot.sendMessage(chatId, t.importWrongChat(exportData.name || exportChatId));
+        return;
+      }
+
+      const result = await this.exportImporter.import(exportData, chatId);
+      bot.sendMessage(chatId, t.importDone(result.imported, result.skipped, result.failed));
+    } catch (error) {
+      logger.error('Error in handleImport:', error);
+      bot.sendMessage(chatId, t.errorImport);
+    }
+  }
+
+  async downloadJson(bot, fileId) {
+    const chunks = [];
+    for await (const chunk of bot.getFileStream(fileId)) {
+      chunks.push(chunk);
+    }
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  }
+
   parseTimePeriod(period) {
     const now = moment();
     let start, end, description;
@@ -578,6 +2043,7 @@ ${exportResult}
     const translations = {
       'en': {
         chatSummary: 'Chat Summary',
+        topic: 'Topic',
         messagesAnalyzed: 'messages',
         summariesRemaining: 'summaries remaining today',
         help: `🤖 *Telegram Summary Bot*
@@ -590,6 +2056,11 @@ ${exportResult}
 • "/summary today" - Summary of today only
 • "/summary yesterday" - Summary of yesterday
 • "/summary 3d" - Summary of last 3 days
+• "/summary all" - Whole group, when used inside a forum topic
+• "/summary 12h tldr" - Pick a style for one summary: tldr, bullets, decisions, timeline or detailed
+• "/summary @alex 1w" - What @alex (or several people) contributed; replying to someone's message with /summary works too
+• "/summary channel [@channel] [period]" - Summarize the linked channel (or a named one, e.g. from a private chat); also works with /export and /schedule
+• "/history" - Re-open recent summaries without using the daily limit
 
 📄 *Export Options*
 • "/export" - Export chat history to text file (last 24h)
@@ -597,14 +2068,42 @@ ${exportResult}
 • "/export today" - Export today's messages only
 
 ⚙️ *Configuration* (Admin only)
+• "/settings" - See all settings and change them with buttons
+• "/model [name]" - Choose the AI model for this chat's summaries
+• "/style [name]" - Set the default summary style
+• "/prompt [set <text>|reset|preview]" - Extra instructions for this chat's summaries
 • "/language [code]" - Set summary language
 • "/length [number]" - Set summary detail level
 • "/timezone [code]" - Set timezone for date formatting
 • "/schedule [option]" - Set automatic summaries
+• "/import" - Import history from a Telegram Desktop JSON export (send result.json with this caption)
+• "/retention [period]" - Delete messages older than e.g. 30d automatically ("off" to keep them)
+
+🔗 *Shared Links*
+• "/links" - Links shared in the last 7 days
+• "/links 30d github.com" - Links to a domain in the last 30 days
+
+❓ *Questions*
+• "/ask what did we decide about the release date?" - Answer from the stored history, citing who said it and when
+• "/ask who owns the invoice? 30d" - Only look at the last 30 days
+
+📌 *Action Items*
+• "/todo" - Find action items in the last 24 hours and list the open ones
+• "/todo 7d @alice" - Look further back, or show only one person's items
+• "/todo list" / "/todo done 3" - List open items / mark one as done
+
+🔎 *Search*
+• "/search deploy failed" - Find messages containing these words
+• "/search invoice 30d @alice" - Limit to a period and/or a user
 
 📊 *Information*
 • "/stats" - Show chat statistics
 • "/clear" - Clear chat history (Admin only)
+• "/backup" - Back up the bot database now (Bot owner only)
+
+🔒 *Privacy*
+• "/optout" - Stop storing your messages in this chat and delete stored ones
+• "/optin" - Allow your messages to be stored again
 
 *Examples:*
 • "/summary 12h" - Last 12 hours
@@ -619,7 +2118,7 @@ ${exportResult}
 I can create AI-powered summaries of your chat conversations using OpenAI (ChatGPT).
 
 *How it works:*
-• I automatically collect and store text messages
+• I automatically collect and store messages, captions and polls
 • Use "/summary" to generate intelligent summaries
 • Summaries include key topics, important moments, and insights
 
@@ -628,7 +2127,7 @@ I can create AI-powered summaries of your chat conversations using OpenAI (ChatG
 • "/help" - See all available commands
 • "/language [code]" - Set your preferred language
 
-*Privacy:* I only store text messages, no media or personal data.
+*Privacy:* I only store message text, captions and poll results, never media files or phone numbers. Use "/optout" to keep your messages out.
 
 Try "/summary" to get started! 🚀`,
         noMessages: '📭 No messages found for the specified time period.',
@@ -639,6 +2138,127 @@ Try "/summary" to get started! 🚀`,
         statsNone: '📊 No messages stored yet. Start chatting to see statistics!',
         stats: (total, users, first, last, period) => `📊 *Chat Statistics*\n\n💬 Total messages: ${total}\n👥 Unique users: ${users}\n📅 First message: ${first}\n🕐 Last message: ${last}\n📈 Collection period: ${period}`,
         errorStats: '❌ Error retrieving statistics.',
+        optedOutUsers: (count, names) => `\n🙈 Opted out of collection (${count}): ${names}`,
+        writeBuffer: ({ queued, flushed, failed, pending }) => `\n💾 Write buffer: ${queued} queued, ${flushed} flushed, ${failed} failed, ${pending} pending`,
+        optedOut: (count) => `🙈 You've opted out of message collection in this chat. Deleted ${count} of your stored messages; new ones won't be stored, summarized or exported.\n\nUse /optin to allow collection again.`,
+        alreadyOptedOut: '🙈 You have already opted out of message collection in this chat. Use /optin to allow it again.',
+        optedIn: '✅ You\'ve opted back in. Your new messages in this chat will be stored and included in summaries.',
+        notOptedOut: 'ℹ️ You haven\'t opted out, so your messages are already collected. Use /optout to stop.',
+        errorOptOut: '❌ Error updating your privacy preference.',
+        sharedLinks: 'Shared Links',
+        noLinks: '🔗 No links were shared in the specified time period.',
+        showingLatestLinks: (shown, total) => `Showing the latest ${shown} of ${total} links. Narrow the period or add a domain to see more.`,
+        originalMessage: 'message',
+        errorLinks: '❌ Error retrieving shared links.',
+        importUsage: '📥 To import history, export the chat from Telegram Desktop as JSON and send result.json here with the caption /import (or reply /import to the file).',
+        importTooLarge: '❌ The export file is larger than 20 MB, which bots cannot download. Ask the bot owner to import it with the command-line script instead.',
+        importInvalid: '❌ This doesn\'t look like a Telegram Desktop chat export. Export the chat as JSON (not HTML) and send result.json.',
+        importWrongChat: (name) => `❌ This export belongs to another chat (${name}). Send it in the chat it was exported from.`,
+        importDone: (imported, skipped, failed) => `📥 Import finished: ${imported} messages imported, ${skipped} skipped (duplicates, service messages, opted-out users)${failed > 0 ? `, ${failed} failed` : ''}.`,
+        errorImport: '❌ Error importing chat history.',
+        summaryHistory: 'Recent summaries',
+        noHistory: '🗂️ No summaries have been generated in this chat yet. Try /summary.',
+        historyHint: 'Tap a number to re-open that summary. Re-opening doesn\'t count toward the daily limit.',
+        summaryNotFound: 'This summary is no longer available.',
+        savedSummary: (date) => `Saved summary from ${date}`,
+        errorHistory: '❌ Error retrieving summary history.',
+        onlyOwner: '🚫 Only the bot owner can use this command.',
+        backupStarted: '💾 Creating a database backup...',
+        backupDone: (file, size, keep) => `✅ Backup created: ${file} (${size}). The newest ${keep} backups are kept.`,
+        errorBackup: '❌ Error creating the database backup. Check the logs for details.',
+        settingsTitle: '⚙️ *Chat settings*',
+        settingsHint: 'Admins can change a setting with the buttons below.',
+        settingsChoose: 'Choose a new value:',
+        settingsSaved: '✅ Saved',
+        settingsBack: '⬅️ Back',
+        settingsClose: '✖️ Close',
+        settingLanguage: '🌐 Language',
+        settingLength: '📏 Summary length',
+        settingTimezone: '🕐 Timezone',
+        settingSchedule: '⏰ Scheduled summaries',
+        settingRetention: '🗑️ Retention',
+        lengthLabel: (length) => `${length} characters`,
+        scheduleOptions: { daily: 'Daily', '3days': 'Every 3 days', weekly: 'Weekly', off: 'Off' },
+        scheduleEvery: (hours) => `Every ${hours} hours`,
+        retentionLabel: (days) => `${days} days`,
+        retentionKeep: 'Until /clear',
+        errorSettings: '❌ Error updating settings.',
+        settingModel: '🧠 Model',
+        currentModel: (model) => `🧠 Current AI model: ${model}`,
+        availableModels: 'Available models:',
+        modelDefault: '(default)',
+        modelNoCap: 'no daily cap',
+        modelUsageToday: (used, cap) => `${used}/${cap} requests today`,
+        modelUsage: 'Usage: "/model [name]" to choose a model, "/model default" to go back to the default.',
+        modelSet: (model) => `✅ Summaries in this chat will use ${model}.`,
+        modelReset: (model) => `✅ Summaries in this chat will use the default model (${model}).`,
+        modelNotAllowed: (model) => `❌ The model "${model}" is not available. Send /model to see the allowed models.`,
+        modelCapReached: (model) => `⏳ The daily limit for ${model} has been reached for today. Please try again tomorrow or choose another model with /model.`,
+        modelFallback: (requested, used) => `⚠️ Daily limit for ${requested} reached, this summary used ${used}`,
+        errorSetModel: '❌ Error setting the AI model.',
+        settingStyle: '🎨 Style',
+        styleNames: { tldr: '⚡ TL;DR', bullets: '📋 Bullet points', decisions: '✅ Decisions', timeline: '🕐 Timeline', detailed: '📖 Detailed' },
+        styleDescriptions: {
+          tldr: 'three lines with what matters most',
+          bullets: 'short bullet points grouped by topic',
+          decisions: 'only the decisions made, with who and when',
+          timeline: 'what happened when, line by line',
+          detailed: 'the full story of the conversation with names and times'
+        },
+        currentStyle: (style) => `🎨 Default summary style: ${style}`,
+        availableStyles: 'Available styles:',
+        styleUsage: 'Usage: "/style [name]" sets the default for this chat. For a single summary, add the style to the command: "/summary 12h tldr".',
+        styleSet: (style) => `✅ Summaries in this chat will use the ${style} style by default.`,
+        invalidStyle: (style) => `❌ Unknown style "${style}". Send /style to see the available styles.`,
+        errorSetStyle: '❌ Error setting the summary style.',
+        currentPrompt: (text) => `📝 Custom instructions for this chat's summaries:\n\n${text}`,
+        noCustomPrompt: '📝 This chat has no custom summary instructions.',
+        promptUsage: (max) => `Usage:\n• "/prompt set <text>" - Add instructions to every summary, e.g. "Call out incidents and their owners" (up to ${max} characters)\n• "/prompt reset" - Remove them\n• "/prompt preview" - Show the full prompt the AI receives, without the messages`,
+        promptSet: (text) => `✅ Summaries in this chat will follow these instructions:\n\n${text}`,
+        promptReset: '✅ Custom instructions removed. Summaries use the standard prompt again.',
+        promptTooLong: (length, max) => `❌ The instructions are ${length} characters long; the limit is ${max}.`,
+        promptPreview: '👀 Prompt preview (the conversation itself is left out):',
+        errorSetPrompt: '❌ Error updating the custom instructions.',
+        openActionItems: 'Open action items',
+        todoEmpty: '📌 There are no open action items. Run /todo to look for new ones in the last 24 hours.',
+        todoEmptyForOwner: (owner) => `📌 @${owner} has no open action items.`,
+        todoAdded: (count) => `🆕 ${count} new item${count === 1 ? '' : 's'} found.`,
+        todoNothingNew: 'No new action items found in this period.',
+        todoHint: 'Mark an item as done with "/todo done <number>".',
+        showingFirstItems: (shown, total) => `Showing the first ${shown} of ${total} items.`,
+        todoDone: (number, task) => `✅ Done: ${number}. ${task}`,
+        todoNotFound: (number) => `❌ There is no open action item number ${number}. Send "/todo list" to see the open items.`,
+        todoUsage: 'Usage:\n• "/todo [period] [@user]" - Find new action items (default: last 24h) and list the open ones\n• "/todo list [@user]" - List open action items\n• "/todo done <number>" - Mark an item as done',
+        errorTodo: '❌ Error updating the action items.',
+        contributionsOf: 'Contributions of',
+        participantUnknown: (name) => `❌ I don't know ${name}: nobody with that username has written in this chat since I joined. Check the spelling, or reply to one of their messages with /summary.`,
+        participantOptedOut: (name) => `🙈 ${name} has opted out of message collection, so their messages can't be summarized.`,
+        noParticipantMessages: (names) => `📭 No messages from ${names} (or replies to them) in the specified time period.`,
+        askUsage: '❓ Usage: "/ask <question> [period]", e.g. "/ask what did we decide about the release date? 30d". Without a period the whole stored history is searched.',
+        askNotFound: '🤷 The stored chat history doesn\'t contain an answer to this question. Try other words or a longer period.',
+        askBasis: (count) => `Answered from ${count} matching message${count === 1 ? '' : 's'} and the messages around them.`,
+        errorAsk: '❌ Error answering the question.',
+        searchUsage: '🔎 Usage: "/search <terms> [period] [@user]", e.g. "/search release notes 7d @alice". Without a period the whole stored history is searched.',
+        searchResults: 'Search results',
+        noSearchResults: '🔎 No messages match your search.',
+        noMoreSearchResults: '🔎 No more results.',
+        searchMore: 'More results ▶️',
+        searchExpired: 'This search has expired. Please run /search again.',
+        errorSearch: '❌ Error searching chat history.',
+        retentionPolicy: (days, enforcedByServer) => days
+          ? `\n🗑️ Retention: messages older than ${days} days are deleted automatically${enforcedByServer ? ' (server-wide limit)' : ''}`
+          : '\n🗑️ Retention: messages are kept until an admin runs /clear',
+        retentionUsage: 'Usage: "/retention 30d" (days, or w/m/y for weeks, months, years) or "/retention off" to keep messages until /clear.',
+        retentionSet: (days) => `✅ Messages older than ${days} days will now be deleted automatically, including their edits, polls and shared links. Expired messages are removed within the hour.`,
+        retentionDisabled: '✅ Retention window removed. Messages are kept until an admin runs /clear.',
+        retentionCapped: (days) => `⚠️ This server deletes messages after ${days} days at most, so that limit applies.`,
+        invalidRetention: '❌ Invalid retention period. Examples: "/retention 30d", "/retention 12w", "/retention 6m", "/retention off" (maximum 10 years).',
+        errorSetRetention: '❌ Error setting the retention period.',
+        channel: 'Channel',
+        channelUsage: '📢 To work with a channel from a private chat, name it: "/summary channel @yourchannel 7d" (use the numeric id for private channels). The bot must be an administrator of the channel.',
+        noLinkedChannel: '📢 This group is not linked to a channel. Name the channel instead: "/summary channel @yourchannel".',
+        channelNotFound: '❌ Channel not found. Make sure the bot has been added to the channel as an administrator.',
+        onlyChannelAdmins: '🚫 Only administrators of the channel can summarize, export or schedule it.',
         onlyAdmins: '🚫 Only chat administrators can change bot settings. Please ask an admin to configure.',
         onlyAdminsClear: '🚫 Only chat administrators can clear chat history. Please ask an admin to clear the messages.',
         cleared: (count) => `🗑️ Cleared ${count} messages from chat history.`,
@@ -672,6 +2292,7 @@ Try "/summary" to get started! 🚀`,
       },
       'es': {
         chatSummary: 'Resumen del Chat',
+        topic: 'Tema',
         messagesAnalyzed: 'mensajes',
         summariesRemaining: 'resúmenes restantes hoy',
         help: `🤖 *Bot de Resumen de Telegram*
@@ -684,6 +2305,11 @@ Try "/summary" to get started! 🚀`,
 • "/summary today" - Resumen solo de hoy
 • "/summary yesterday" - Resumen de ayer
 • "/summary 3d" - Resumen de los últimos 3 días
+• "/summary all" - Todo el grupo, cuando se usa dentro de un tema del foro
+• "/summary 12h tldr" - Elegir el estilo de un resumen: tldr, bullets, decisions, timeline o detailed
+• "/summary @alex 1w" - Lo que aportó @alex (o varias personas); también puedes responder con /summary a un mensaje suyo
+• "/summary channel [@canal] [período]" - Resumir el canal vinculado (o uno indicado, p. ej. desde un chat privado); también funciona con /export y /schedule
+• "/history" - Volver a abrir resúmenes recientes sin gastar el límite diario
 
 📄 *Export Options*
 • "/export" - Export chat history to text file (last 24h)
@@ -695,10 +2321,38 @@ Try "/summary" to get started! 🚀`,
 • "/length [número]" - Establecer nivel de detalle
 • "/timezone [código]" - Establecer zona horaria
 • "/schedule [opción]" - Establecer resúmenes automáticos
+• "/import" - Importar historial desde una exportación JSON de Telegram Desktop (envía result.json con este texto)
+• "/settings" - Ver toda la configuración y cambiarla con botones
+• "/model [nombre]" - Elegir el modelo de IA para los resúmenes de este chat
+• "/style [nombre]" - Establecer el estilo de resumen predeterminado
+• "/prompt [set <texto>|reset|preview]" - Instrucciones extra para los resúmenes de este chat
+• "/retention [período]" - Eliminar automáticamente los mensajes más antiguos que, p. ej., 30d ("off" para conservarlos)
+
+🔗 *Enlaces Compartidos*
+• "/links" - Enlaces compartidos en los últimos 7 días
+• "/links 30d github.com" - Enlaces a un dominio en los últimos 30 días
+
+❓ *Preguntas*
+• "/ask ¿qué decidimos sobre la fecha de lanzamiento?" - Responder a partir del historial, citando quién lo dijo y cuándo
+• "/ask ¿quién se encarga de la factura? 30d" - Buscar solo en los últimos 30 días
+
+📌 *Tareas*
+• "/todo" - Buscar tareas en las últimas 24 horas y listar las pendientes
+• "/todo 7d @alice" - Buscar más atrás, o mostrar solo las tareas de una persona
+• "/todo list" / "/todo done 3" - Listar las tareas pendientes / marcar una como hecha
+
+🔎 *Búsqueda*
+• "/search despliegue fallido" - Buscar mensajes que contengan estas palabras
+• "/search factura 30d @alice" - Limitar a un período y/o un usuario
 
 📊 *Información*
 • "/stats" - Mostrar estadísticas del chat
 • "/clear" - Limpiar historial del chat (Solo administradores)
+• "/backup" - Hacer una copia de seguridad de la base de datos ahora (Solo el propietario del bot)
+
+🔒 *Privacidad*
+• "/optout" - Dejar de guardar tus mensajes en este chat y borrar los guardados
+• "/optin" - Permitir de nuevo que se guarden tus mensajes
 
 *Ejemplos:*
 • "/summary 12h" - Últimas 12 horas
@@ -713,7 +2367,7 @@ Try "/summary" to get started! 🚀`,
 Puedo crear resúmenes con IA de tus conversaciones de chat usando OpenAI (ChatGPT).
 
 *Cómo funciona:*
-• Recojo y almaceno automáticamente mensajes de texto
+• Recojo y almaceno automáticamente mensajes, descripciones y encuestas
 • Usa "/summary" para generar resúmenes inteligentes
 • Los resúmenes incluyen temas clave, momentos importantes e insights
 
@@ -722,7 +2376,7 @@ Puedo crear resúmenes con IA de tus conversaciones de chat usando OpenAI (ChatG
 • "/help" - Ver todos los comandos disponibles
 • "/language [código]" - Establecer tu idioma preferido
 
-*Privacidad:* Solo almaceno mensajes de texto, sin medios ni datos personales.
+*Privacidad:* Solo almaceno el texto de los mensajes, las descripciones y los resultados de encuestas, nunca archivos multimedia ni números de teléfono. Usa "/optout" para excluir tus mensajes.
 
 ¡Prueba "/summary" para comenzar! 🚀`,
         noMessages: '📭 No se encontraron mensajes para el período especificado.',
@@ -731,6 +2385,127 @@ Puedo crear resúmenes con IA de tus conversaciones de chat usando OpenAI (ChatG
         statsNone: '📊 Aún no hay mensajes almacenados. ¡Comienza a chatear para ver estadísticas!',
         stats: (total, users, first, last, period) => `📊 *Estadísticas del Chat*\n\n💬 Total de mensajes: ${total}\n👥 Usuarios únicos: ${users}\n📅 Primer mensaje: ${first}\n🕐 Último mensaje: ${last}\n📈 Período de recolección: ${period}`,
         errorStats: '❌ Error obteniendo estadísticas.',
+        optedOutUsers: (count, names) => `\n🙈 Excluidos de la recopilación (${count}): ${names}`,
+        writeBuffer: ({ queued, flushed, failed, pending }) => `\n💾 Búfer de escritura: ${queued} en cola, ${flushed} guardados, ${failed} fallidos, ${pending} pendientes`,
+        optedOut: (count) => `🙈 Has dejado de participar en la recopilación de mensajes de este chat. Se eliminaron ${count} de tus mensajes guardados; los nuevos no se guardarán, resumirán ni exportarán.\n\nUsa /optin para volver a permitir la recopilación.`,
+        alreadyOptedOut: '🙈 Ya has dejado de participar en la recopilación de mensajes de este chat. Usa /optin para volver a permitirla.',
+        optedIn: '✅ Has vuelto a participar. Tus nuevos mensajes en este chat se guardarán e incluirán en los resúmenes.',
+        notOptedOut: 'ℹ️ No te has excluido, tus mensajes ya se están recopilando. Usa /optout para dejar de participar.',
+        errorOptOut: '❌ Error actualizando tu preferencia de privacidad.',
+        sharedLinks: 'Enlaces Compartidos',
+        noLinks: '🔗 No se compartieron enlaces en el período especificado.',
+        showingLatestLinks: (shown, total) => `Mostrando los últimos ${shown} de ${total} enlaces. Reduce el período o añade un dominio para ver más.`,
+        originalMessage: 'mensaje',
+        errorLinks: '❌ Error obteniendo los enlaces compartidos.',
+        importUsage: '📥 Para importar el historial, exporta el chat desde Telegram Desktop en formato JSON y envía result.json aquí con el texto /import (o responde /import al archivo).',
+        importTooLarge: '❌ El archivo de exportación supera los 20 MB, que es el máximo que pueden descargar los bots. Pide al propietario del bot que lo importe con el script de línea de comandos.',
+        importInvalid: '❌ Esto no parece una exportación de chat de Telegram Desktop. Exporta el chat en JSON (no HTML) y envía result.json.',
+        importWrongChat: (name) => `❌ Esta exportación pertenece a otro chat (${name}). Envíala en el chat del que se exportó.`,
+        importDone: (imported, skipped, failed) => `📥 Importación terminada: ${imported} mensajes importados, ${skipped} omitidos (duplicados, mensajes de servicio, usuarios excluidos)${failed > 0 ? `, ${failed} con error` : ''}.`,
+        errorImport: '❌ Error importando el historial del chat.',
+        summaryHistory: 'Resúmenes recientes',
+        noHistory: '🗂️ Todavía no se ha generado ningún resumen en este chat. Prueba /summary.',
+        historyHint: 'Pulsa un número para volver a abrir ese resumen. Volver a abrirlo no cuenta para el límite diario.',
+        summaryNotFound: 'Este resumen ya no está disponible.',
+        savedSummary: (date) => `Resumen guardado del ${date}`,
+        errorHistory: '❌ Error obteniendo el historial de resúmenes.',
+        onlyOwner: '🚫 Solo el propietario del bot puede usar este comando.',
+        backupStarted: '💾 Creando una copia de seguridad de la base de datos...',
+        backupDone: (file, size, keep) => `✅ Copia de seguridad creada: ${file} (${size}). Se conservan las ${keep} copias más recientes.`,
+        errorBackup: '❌ Error creando la copia de seguridad. Revisa los registros para más detalles.',
+        settingsTitle: '⚙️ *Configuración del chat*',
+        settingsHint: 'Los administradores pueden cambiar la configuración con los botones de abajo.',
+        settingsChoose: 'Elige un nuevo valor:',
+        settingsSaved: '✅ Guardado',
+        settingsBack: '⬅️ Volver',
+        settingsClose: '✖️ Cerrar',
+        settingLanguage: '🌐 Idioma',
+        settingLength: '📏 Longitud del resumen',
+        settingTimezone: '🕐 Zona horaria',
+        settingSchedule: '⏰ Resúmenes programados',
+        settingRetention: '🗑️ Retención',
+        lengthLabel: (length) => `${length} caracteres`,
+        scheduleOptions: { daily: 'Diario', '3days': 'Cada 3 días', weekly: 'Semanal', off: 'Desactivado' },
+        scheduleEvery: (hours) => `Cada ${hours} horas`,
+        retentionLabel: (days) => `${days} días`,
+        retentionKeep: 'Hasta /clear',
+        errorSettings: '❌ Error actualizando la configuración.',
+        settingModel: '🧠 Modelo',
+        currentModel: (model) => `🧠 Modelo de IA actual: ${model}`,
+        availableModels: 'Modelos disponibles:',
+        modelDefault: '(predeterminado)',
+        modelNoCap: 'sin límite diario',
+        modelUsageToday: (used, cap) => `${used}/${cap} solicitudes hoy`,
+        modelUsage: 'Uso: "/model [nombre]" para elegir un modelo, "/model default" para volver al predeterminado.',
+        modelSet: (model) => `✅ Los resúmenes de este chat usarán ${model}.`,
+        modelReset: (model) => `✅ Los resúmenes de este chat usarán el modelo predeterminado (${model}).`,
+        modelNotAllowed: (model) => `❌ El modelo "${model}" no está disponible. Envía /model para ver los modelos permitidos.`,
+        modelCapReached: (model) => `⏳ Se alcanzó el límite diario de ${model}. Inténtalo mañana o elige otro modelo con /model.`,
+        modelFallback: (requested, used) => `⚠️ Se alcanzó el límite diario de ${requested}, este resumen usó ${used}`,
+        errorSetModel: '❌ Error configurando el modelo de IA.',
+        settingStyle: '🎨 Estilo',
+        styleNames: { tldr: '⚡ TL;DR', bullets: '📋 Viñetas', decisions: '✅ Decisiones', timeline: '🕐 Cronología', detailed: '📖 Detallado' },
+        styleDescriptions: {
+          tldr: 'tres líneas con lo más importante',
+          bullets: 'viñetas cortas agrupadas por tema',
+          decisions: 'solo las decisiones tomadas, con quién y cuándo',
+          timeline: 'qué pasó y cuándo, línea por línea',
+          detailed: 'la historia completa de la conversación con nombres y horas'
+        },
+        currentStyle: (style) => `🎨 Estilo de resumen predeterminado: ${style}`,
+        availableStyles: 'Estilos disponibles:',
+        styleUsage: 'Uso: "/style [nombre]" establece el predeterminado de este chat. Para un solo resumen, añade el estilo al comando: "/summary 12h tldr".',
+        styleSet: (style) => `✅ Los resúmenes de este chat usarán el estilo ${style} por defecto.`,
+        invalidStyle: (style) => `❌ Estilo desconocido "${style}". Envía /style para ver los estilos disponibles.`,
+        errorSetStyle: '❌ Error configurando el estilo de resumen.',
+        currentPrompt: (text) => `📝 Instrucciones personalizadas para los resúmenes de este chat:\n\n${text}`,
+        noCustomPrompt: '📝 Este chat no tiene instrucciones personalizadas para los resúmenes.',
+        promptUsage: (max) => `Uso:\n• "/prompt set <texto>" - Añadir instrucciones a cada resumen, p. ej. "Destaca los incidentes y sus responsables" (hasta ${max} caracteres)\n• "/prompt reset" - Eliminarlas\n• "/prompt preview" - Ver el prompt completo que recibe la IA, sin los mensajes`,
+        promptSet: (text) => `✅ Los resúmenes de este chat seguirán estas instrucciones:\n\n${text}`,
+        promptReset: '✅ Instrucciones personalizadas eliminadas. Los resúmenes vuelven a usar el prompt estándar.',
+        promptTooLong: (length, max) => `❌ Las instrucciones tienen ${length} caracteres; el límite es ${max}.`,
+        promptPreview: '👀 Vista previa del prompt (sin la conversación):',
+        errorSetPrompt: '❌ Error actualizando las instrucciones personalizadas.',
+        openActionItems: 'Tareas pendientes',
+        todoEmpty: '📌 No hay tareas pendientes. Usa /todo para buscar nuevas en las últimas 24 horas.',
+        todoEmptyForOwner: (owner) => `📌 @${owner} no tiene tareas pendientes.`,
+        todoAdded: (count) => `🆕 ${count} tarea${count === 1 ? ' nueva encontrada' : 's nuevas encontradas'}.`,
+        todoNothingNew: 'No se encontraron tareas nuevas en este período.',
+        todoHint: 'Marca una tarea como hecha con "/todo done <número>".',
+        showingFirstItems: (shown, total) => `Mostrando las primeras ${shown} de ${total} tareas.`,
+        todoDone: (number, task) => `✅ Hecho: ${number}. ${task}`,
+        todoNotFound: (number) => `❌ No hay ninguna tarea pendiente con el número ${number}. Envía "/todo list" para ver las tareas pendientes.`,
+        todoUsage: 'Uso:\n• "/todo [período] [@usuario]" - Buscar tareas nuevas (por defecto: últimas 24h) y listar las pendientes\n• "/todo list [@usuario]" - Listar las tareas pendientes\n• "/todo done <número>" - Marcar una tarea como hecha',
+        errorTodo: '❌ Error actualizando las tareas.',
+        contributionsOf: 'Aportaciones de',
+        participantUnknown: (name) => `❌ No conozco a ${name}: nadie con ese nombre de usuario ha escrito en este chat desde que me uní. Revisa cómo se escribe o responde con /summary a uno de sus mensajes.`,
+        participantOptedOut: (name) => `🙈 ${name} ha desactivado la recopilación de mensajes, así que sus mensajes no se pueden resumir.`,
+        noParticipantMessages: (names) => `📭 No hay mensajes de ${names} (ni respuestas a ellos) en el período especificado.`,
+        askUsage: '❓ Uso: "/ask <pregunta> [período]", p. ej. "/ask ¿qué decidimos sobre la fecha de lanzamiento? 30d". Sin período se busca en todo el historial guardado.',
+        askNotFound: '🤷 El historial guardado del chat no contiene la respuesta a esta pregunta. Prueba con otras palabras o un período más largo.',
+        askBasis: (count) => `Respuesta basada en ${count} mensaje${count === 1 ? '' : 's'} encontrado${count === 1 ? '' : 's'} y los mensajes a su alrededor.`,
+        errorAsk: '❌ Error respondiendo la pregunta.',
+        searchUsage: '🔎 Uso: "/search <términos> [período] [@usuario]", p. ej. "/search notas de versión 7d @alice". Sin período se busca en todo el historial guardado.',
+        searchResults: 'Resultados de búsqueda',
+        noSearchResults: '🔎 Ningún mensaje coincide con tu búsqueda.',
+        noMoreSearchResults: '🔎 No hay más resultados.',
+        searchMore: 'Más resultados ▶️',
+        searchExpired: 'Esta búsqueda ha caducado. Vuelve a usar /search.',
+        errorSearch: '❌ Error buscando en el historial del chat.',
+        retentionPolicy: (days, enforcedByServer) => days
+          ? `\n🗑️ Retención: los mensajes de más de ${days} días se eliminan automáticamente${enforcedByServer ? ' (límite del servidor)' : ''}`
+          : '\n🗑️ Retención: los mensajes se conservan hasta que un administrador use /clear',
+        retentionUsage: 'Uso: "/retention 30d" (días, o w/m/y para semanas, meses, años) o "/retention off" para conservar los mensajes hasta /clear.',
+        retentionSet: (days) => `✅ Los mensajes de más de ${days} días se eliminarán automáticamente, junto con sus ediciones, encuestas y enlaces compartidos. Los mensajes caducados se eliminan en menos de una hora.`,
+        retentionDisabled: '✅ Periodo de retención eliminado. Los mensajes se conservan hasta que un administrador use /clear.',
+        retentionCapped: (days) => `⚠️ Este servidor elimina los mensajes como máximo tras ${days} días, así que se aplica ese límite.`,
+        invalidRetention: '❌ Periodo de retención no válido. Ejemplos: "/retention 30d", "/retention 12w", "/retention 6m", "/retention off" (máximo 10 años).',
+        errorSetRetention: '❌ Error estableciendo el periodo de retención.',
+        channel: 'Canal',
+        channelUsage: '📢 Para trabajar con un canal desde un chat privado, indícalo: "/summary channel @tucanal 7d" (usa el id numérico para canales privados). El bot debe ser administrador del canal.',
+        noLinkedChannel: '📢 Este grupo no está vinculado a un canal. Indica el canal: "/summary channel @tucanal".',
+        channelNotFound: '❌ Canal no encontrado. Asegúrate de que el bot se haya añadido al canal como administrador.',
+        onlyChannelAdmins: '🚫 Solo los administradores del canal pueden resumirlo, exportarlo o programar resúmenes.',
         onlyAdmins: '🚫 Solo los administradores del chat pueden cambiar la configuración del bot. Pídele a un administrador que configure.',
         onlyAdminsClear: '🚫 Solo los administradores del chat pueden limpiar el historial. Pídele a un administrador que limpie los mensajes.',
         cleared: (count) => `🗑️ Se limpiaron ${count} mensajes del historial del chat.`,
@@ -764,6 +2539,7 @@ Puedo crear resúmenes con IA de tus conversaciones de chat usando OpenAI (ChatG
       },
       'uk': {
         chatSummary: 'Підсумок чату',
+        topic: 'Тема',
         messagesAnalyzed: 'повідомлень',
         summariesRemaining: 'залишилось підсумків сьогодні',
         help: `🤖 *Telegram Bot для підсумків*
@@ -776,6 +2552,11 @@ Puedo crear resúmenes con IA de tus conversaciones de chat usando OpenAI (ChatG
 • "/summary today" - Підсумок лише за сьогодні
 • "/summary yesterday" - Підсумок за вчора
 • "/summary 3d" - Підсумок за останні 3 дні
+• "/summary all" - Уся група, якщо викликати всередині теми форуму
+• "/summary 12h tldr" - Обрати стиль для одного підсумку: tldr, bullets, decisions, timeline або detailed
+• "/summary @alex 1w" - Внесок @alex (або кількох людей); можна також відповісти /summary на повідомлення людини
+• "/summary channel [@канал] [період]" - Підсумок пов'язаного каналу (або вказаного, напр. з особистого чату); також працює з /export і /schedule
+• "/history" - Знову відкрити останні підсумки без витрати денного ліміту
 
 📄 *Export Options*
 • "/export" - Export chat history to text file (last 24h)
@@ -787,10 +2568,38 @@ Puedo crear resúmenes con IA de tus conversaciones de chat usando OpenAI (ChatG
 • "/length [число]" - Встановити рівень деталізації
 • "/timezone [код]" - Встановити часовий пояс
 • "/schedule [опція]" - Налаштувати автоматичні підсумки
+• "/import" - Імпортувати історію з JSON-експорту Telegram Desktop (надішліть result.json з цим підписом)
+• "/settings" - Переглянути всі налаштування та змінити їх кнопками
+• "/model [назва]" - Обрати модель ШІ для підсумків цього чату
+• "/style [назва]" - Встановити стиль підсумків за замовчуванням
+• "/prompt [set <текст>|reset|preview]" - Додаткові інструкції для підсумків цього чату
+• "/retention [період]" - Автоматично видаляти повідомлення, старші за напр. 30d ("off", щоб зберігати)
+
+🔗 *Поширені посилання*
+• "/links" - Посилання за останні 7 днів
+• "/links 30d github.com" - Посилання на домен за останні 30 днів
+
+❓ *Питання*
+• "/ask що ми вирішили щодо дати релізу?" - Відповідь зі збереженої історії з посиланням на те, хто і коли це сказав
+• "/ask хто відповідає за рахунок? 30d" - Шукати лише за останні 30 днів
+
+📌 *Завдання*
+• "/todo" - Знайти завдання за останні 24 години та показати відкриті
+• "/todo 7d @alice" - Шукати далі в минулому або показати завдання однієї людини
+• "/todo list" / "/todo done 3" - Показати відкриті завдання / позначити одне виконаним
+
+🔎 *Пошук*
+• "/search деплой впав" - Знайти повідомлення з цими словами
+• "/search рахунок 30d @alice" - Обмежити періодом та/або користувачем
 
 📊 *Інформація*
 • "/stats" - Показати статистику чату
 • "/clear" - Очистити історію чату (Тільки адміністратори)
+• "/backup" - Створити резервну копію бази даних зараз (Тільки власник бота)
+
+🔒 *Приватність*
+• "/optout" - Не зберігати ваші повідомлення в цьому чаті та видалити збережені
+• "/optin" - Знову дозволити зберігати ваші повідомлення
 
 *Приклади:*
 • "/summary 12h" - Останні 12 годин
@@ -805,7 +2614,7 @@ Puedo crear resúmenes con IA de tus conversaciones de chat usando OpenAI (ChatG
 Я можу створювати підсумки ваших чат-розмов за допомогою штучного інтелекту OpenAI (ChatGPT).
 
 *Як це працює:*
-• Я автоматично збираю та зберігаю текстові повідомлення
+• Я автоматично збираю та зберігаю повідомлення, підписи та опитування
 • Використовуйте "/summary" для створення розумних підсумків
 • Підсумки включають ключові теми, важливі моменти та insights
 
@@ -814,7 +2623,7 @@ Puedo crear resúmenes con IA de tus conversaciones de chat usando OpenAI (ChatG
 • "/help" - Переглянути всі доступні команди
 • "/language [код]" - Встановити вашу улюблену мову
 
-*Приватність:* Я зберігаю лише текстові повідомлення, без медіа або особистих даних.
+*Приватність:* Я зберігаю лише текст повідомлень, підписи та результати опитувань, без медіафайлів і номерів телефонів. Використовуйте "/optout", щоб виключити свої повідомлення.
 
 Спробуйте "/summary" щоб почати! 🚀`,
         noMessages: '📭 Не знайдено повідомлень за вказаний період часу.',
@@ -823,6 +2632,127 @@ Puedo crear resúmenes con IA de tus conversaciones de chat usando OpenAI (ChatG
         statsNone: '📊 Ще немає збережених повідомлень. Почніть спілкуватися, щоб побачити статистику!',
         stats: (total, users, first, last, period) => `📊 *Статистика чату*\n\n💬 Всього повідомлень: ${total}\n👥 Унікальних користувачів: ${users}\n📅 Перше повідомлення: ${first}\n🕐 Останнє повідомлення: ${last}\n📈 Період збору: ${period}`,
         errorStats: '❌ Помилка при отриманні статистики.',
+        optedOutUsers: (count, names) => `\n🙈 Відмовилися від збору (${count}): ${names}`,
+        writeBuffer: ({ queued, flushed, failed, pending }) => `\n💾 Буфер запису: ${queued} у черзі, ${flushed} записано, ${failed} з помилкою, ${pending} очікує`,
+        optedOut: (count) => `🙈 Ви відмовилися від збору повідомлень у цьому чаті. Видалено ${count} ваших збережених повідомлень; нові не зберігатимуться, не потраплять у підсумки та експорт.\n\nВикористовуйте /optin, щоб знову дозволити збір.`,
+        alreadyOptedOut: '🙈 Ви вже відмовилися від збору повідомлень у цьому чаті. Використовуйте /optin, щоб знову його дозволити.',
+        optedIn: '✅ Ви знову дозволили збір. Ваші нові повідомлення в цьому чаті зберігатимуться та потраплятимуть у підсумки.',
+        notOptedOut: 'ℹ️ Ви не відмовлялися від збору, ваші повідомлення вже збираються. Використовуйте /optout, щоб зупинити.',
+        errorOptOut: '❌ Помилка при оновленні налаштувань приватності.',
+        sharedLinks: 'Поширені посилання',
+        noLinks: '🔗 За вказаний період ніхто не ділився посиланнями.',
+        showingLatestLinks: (shown, total) => `Показано останні ${shown} з ${total} посилань. Звузьте період або додайте домен, щоб побачити більше.`,
+        originalMessage: 'повідомлення',
+        errorLinks: '❌ Помилка при отриманні посилань.',
+        importUsage: '📥 Щоб імпортувати історію, експортуйте чат у Telegram Desktop у форматі JSON і надішліть сюди result.json з підписом /import (або дайте відповідь /import на файл).',
+        importTooLarge: '❌ Файл експорту більший за 20 МБ, а боти не можуть завантажувати такі файли. Попросіть власника бота імпортувати його скриптом з командного рядка.',
+        importInvalid: '❌ Це не схоже на експорт чату з Telegram Desktop. Експортуйте чат у JSON (не HTML) і надішліть result.json.',
+        importWrongChat: (name) => `❌ Цей експорт належить іншому чату (${name}). Надішліть його в чат, з якого його експортовано.`,
+        importDone: (imported, skipped, failed) => `📥 Імпорт завершено: імпортовано ${imported} повідомлень, пропущено ${skipped} (дублікати, службові повідомлення, користувачі, що відмовилися від збору)${failed > 0 ? `, з помилкою ${failed}` : ''}.`,
+        errorImport: '❌ Помилка при імпорті історії чату.',
+        summaryHistory: 'Останні підсумки',
+        noHistory: '🗂️ У цьому чаті ще не створено жодного підсумку. Спробуйте /summary.',
+        historyHint: 'Натисніть номер, щоб знову відкрити підсумок. Повторне відкриття не враховується в денному ліміті.',
+        summaryNotFound: 'Цей підсумок більше недоступний.',
+        savedSummary: (date) => `Збережений підсумок від ${date}`,
+        errorHistory: '❌ Помилка при отриманні історії підсумків.',
+        onlyOwner: '🚫 Цю команду може використовувати тільки власник бота.',
+        backupStarted: '💾 Створюю резервну копію бази даних...',
+        backupDone: (file, size, keep) => `✅ Резервну копію створено: ${file} (${size}). Зберігаються ${keep} найновіших копій.`,
+        errorBackup: '❌ Помилка при створенні резервної копії. Подробиці в логах.',
+        settingsTitle: '⚙️ *Налаштування чату*',
+        settingsHint: 'Адміністратори можуть змінити налаштування кнопками нижче.',
+        settingsChoose: 'Оберіть нове значення:',
+        settingsSaved: '✅ Збережено',
+        settingsBack: '⬅️ Назад',
+        settingsClose: '✖️ Закрити',
+        settingLanguage: '🌐 Мова',
+        settingLength: '📏 Довжина підсумку',
+        settingTimezone: '🕐 Часовий пояс',
+        settingSchedule: '⏰ Заплановані підсумки',
+        settingRetention: '🗑️ Зберігання',
+        lengthLabel: (length) => `${length} символів`,
+        scheduleOptions: { daily: 'Щодня', '3days': 'Кожні 3 дні', weekly: 'Щотижня', off: 'Вимкнено' },
+        scheduleEvery: (hours) => `Кожні ${hours} годин`,
+        retentionLabel: (days) => `${days} днів`,
+        retentionKeep: 'До /clear',
+        errorSettings: '❌ Помилка при оновленні налаштувань.',
+        settingModel: '🧠 Модель',
+        currentModel: (model) => `🧠 Поточна модель ШІ: ${model}`,
+        availableModels: 'Доступні моделі:',
+        modelDefault: '(за замовчуванням)',
+        modelNoCap: 'без денного ліміту',
+        modelUsageToday: (used, cap) => `${used}/${cap} запитів сьогодні`,
+        modelUsage: 'Використання: "/model [назва]", щоб обрати модель, "/model default", щоб повернутися до моделі за замовчуванням.',
+        modelSet: (model) => `✅ Підсумки в цьому чаті використовуватимуть ${model}.`,
+        modelReset: (model) => `✅ Підсумки в цьому чаті використовуватимуть модель за замовчуванням (${model}).`,
+        modelNotAllowed: (model) => `❌ Модель "${model}" недоступна. Надішліть /model, щоб побачити дозволені моделі.`,
+        modelCapReached: (model) => `⏳ Денний ліміт для ${model} вичерпано. Спробуйте завтра або оберіть іншу модель через /model.`,
+        modelFallback: (requested, used) => `⚠️ Денний ліміт для ${requested} вичерпано, цей підсумок створено моделлю ${used}`,
+        errorSetModel: '❌ Помилка при встановленні моделі ШІ.',
+        settingStyle: '🎨 Стиль',
+        styleNames: { tldr: '⚡ TL;DR', bullets: '📋 Пункти', decisions: '✅ Рішення', timeline: '🕐 Хронологія', detailed: '📖 Детально' },
+        styleDescriptions: {
+          tldr: 'три рядки з найважливішим',
+          bullets: 'короткі пункти, згруповані за темами',
+          decisions: 'лише ухвалені рішення, хто і коли',
+          timeline: 'що і коли сталося, рядок за рядком',
+          detailed: 'повна історія розмови з іменами та часом'
+        },
+        currentStyle: (style) => `🎨 Стиль підсумків за замовчуванням: ${style}`,
+        availableStyles: 'Доступні стилі:',
+        styleUsage: 'Використання: "/style [назва]" встановлює стиль за замовчуванням для цього чату. Для одного підсумку додайте стиль до команди: "/summary 12h tldr".',
+        styleSet: (style) => `✅ Підсумки в цьому чаті за замовчуванням матимуть стиль ${style}.`,
+        invalidStyle: (style) => `❌ Невідомий стиль "${style}". Надішліть /style, щоб побачити доступні стилі.`,
+        errorSetStyle: '❌ Помилка при встановленні стилю підсумків.',
+        currentPrompt: (text) => `📝 Власні інструкції для підсумків цього чату:\n\n${text}`,
+        noCustomPrompt: '📝 У цього чату немає власних інструкцій для підсумків.',
+        promptUsage: (max) => `Використання:\n• "/prompt set <текст>" - Додати інструкції до кожного підсумку, напр. "Виділяй інциденти та відповідальних" (до ${max} символів)\n• "/prompt reset" - Видалити їх\n• "/prompt preview" - Показати повний запит до ШІ без самих повідомлень`,
+        promptSet: (text) => `✅ Підсумки в цьому чаті враховуватимуть ці інструкції:\n\n${text}`,
+        promptReset: '✅ Власні інструкції видалено. Підсумки знову використовують стандартний запит.',
+        promptTooLong: (length, max) => `❌ Інструкції мають ${length} символів; ліміт — ${max}.`,
+        promptPreview: '👀 Попередній перегляд запиту (без самої розмови):',
+        errorSetPrompt: '❌ Помилка при оновленні власних інструкцій.',
+        openActionItems: 'Відкриті завдання',
+        todoEmpty: '📌 Відкритих завдань немає. Надішліть /todo, щоб знайти нові за останні 24 години.',
+        todoEmptyForOwner: (owner) => `📌 У @${owner} немає відкритих завдань.`,
+        todoAdded: (count) => `🆕 Знайдено нових завдань: ${count}.`,
+        todoNothingNew: 'Нових завдань за цей період не знайдено.',
+        todoHint: 'Позначте завдання виконаним: "/todo done <номер>".',
+        showingFirstItems: (shown, total) => `Показано перші ${shown} з ${total} завдань.`,
+        todoDone: (number, task) => `✅ Виконано: ${number}. ${task}`,
+        todoNotFound: (number) => `❌ Відкритого завдання з номером ${number} немає. Надішліть "/todo list", щоб побачити відкриті завдання.`,
+        todoUsage: 'Використання:\n• "/todo [період] [@користувач]" - Знайти нові завдання (за замовчуванням: останні 24 год) і показати відкриті\n• "/todo list [@користувач]" - Показати відкриті завдання\n• "/todo done <номер>" - Позначити завдання виконаним',
+        errorTodo: '❌ Помилка при оновленні завдань.',
+        contributionsOf: 'Внесок',
+        participantUnknown: (name) => `❌ Я не знаю ${name}: ніхто з таким іменем користувача не писав у цьому чаті, відколи я приєднався. Перевірте написання або дайте відповідь /summary на одне з їхніх повідомлень.`,
+        participantOptedOut: (name) => `🙈 ${name} не дозволяє збирати свої повідомлення, тому їх не можна підсумувати.`,
+        noParticipantMessages: (names) => `📭 За вказаний період немає повідомлень від ${names} (чи відповідей їм).`,
+        askUsage: '❓ Використання: "/ask <питання> [період]", напр. "/ask що ми вирішили щодо дати релізу? 30d". Без періоду пошук іде по всій збереженій історії.',
+        askNotFound: '🤷 У збереженій історії чату немає відповіді на це питання. Спробуйте інші слова або довший період.',
+        askBasis: (count) => `Відповідь на основі знайдених повідомлень (${count}) та повідомлень навколо них.`,
+        errorAsk: '❌ Помилка при відповіді на питання.',
+        searchUsage: '🔎 Використання: "/search <слова> [період] [@користувач]", напр. "/search реліз 7d @alice". Без періоду пошук іде по всій збереженій історії.',
+        searchResults: 'Результати пошуку',
+        noSearchResults: '🔎 Жодне повідомлення не відповідає пошуку.',
+        noMoreSearchResults: '🔎 Більше результатів немає.',
+        searchMore: 'Ще результати ▶️',
+        searchExpired: 'Цей пошук застарів. Виконайте /search ще раз.',
+        errorSearch: '❌ Помилка при пошуку в історії чату.',
+        retentionPolicy: (days, enforcedByServer) => days
+          ? `\n🗑️ Зберігання: повідомлення, старші за ${days} дн., видаляються автоматично${enforcedByServer ? ' (обмеження сервера)' : ''}`
+          : '\n🗑️ Зберігання: повідомлення зберігаються, доки адміністратор не виконає /clear',
+        retentionUsage: 'Використання: "/retention 30d" (дні, або w/m/y для тижнів, місяців, років) чи "/retention off", щоб зберігати повідомлення до /clear.',
+        retentionSet: (days) => `✅ Повідомлення, старші за ${days} дн., тепер видалятимуться автоматично разом з їхніми редагуваннями, опитуваннями та посиланнями. Застарілі повідомлення видаляються протягом години.`,
+        retentionDisabled: '✅ Термін зберігання скасовано. Повідомлення зберігаються, доки адміністратор не виконає /clear.',
+        retentionCapped: (days) => `⚠️ Цей сервер видаляє повідомлення щонайпізніше через ${days} дн., тож діє це обмеження.`,
+        invalidRetention: '❌ Неправильний термін зберігання. Приклади: "/retention 30d", "/retention 12w", "/retention 6m", "/retention off" (максимум 10 років).',
+        errorSetRetention: '❌ Помилка при встановленні терміну зберігання.',
+        channel: 'Канал',
+        channelUsage: '📢 Щоб працювати з каналом в особистому чаті, вкажіть його: "/summary channel @вашканал 7d" (для приватних каналів використовуйте числовий id). Бот має бути адміністратором каналу.',
+        noLinkedChannel: '📢 Ця група не пов\'язана з каналом. Вкажіть канал: "/summary channel @вашканал".',
+        channelNotFound: '❌ Канал не знайдено. Переконайтеся, що бота додано до каналу як адміністратора.',
+        onlyChannelAdmins: '🚫 Лише адміністратори каналу можуть підсумовувати, експортувати чи планувати його підсумки.',
         onlyAdmins: '🚫 Тільки адміністратори чату можуть змінювати налаштування бота. Попросіть адміністратора налаштувати.',
         onlyAdminsClear: '🚫 Тільки адміністратори чату можуть очищати історію. Попросіть адміністратора очистити повідомлення.',
         cleared: (count) => `🗑️ Очищено ${count} повідомлень з історії чату.`,
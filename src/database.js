@@ -1,15 +1,71 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 const moment = require('moment-timezone');
 const logger = require('./logger');
+const Migrator = require('./migrator');
+const Encryption = require('./encryption');
+const { parseTerms, matchText } = require('./textSearch');
+
+// Columns holding personal data or text taken from messages, per table, encrypted at rest when ENCRYPTION_KEY is set
+const ENCRYPTED_COLUMNS = {
+  messages: ['username', 'first_name', 'last_name', 'text'],
+  message_revisions: ['text'],
+  shared_links: ['username', 'first_name', 'url'],
+  summaries: ['text', 'participants'],
+  summary_chunks: ['text'],
+  action_items: ['task', 'owner', 'due_date'],
+  opted_out_users: ['display_name']
+};
+
+// Encrypted text can't be indexed, so search decrypts at most this many recent messages
+const SEARCH_SCAN_LIMIT = 5000;
+
+// Settings a chat has before anyone changes them; keys are the chat_settings columns
+const CHAT_SETTING_DEFAULTS = {
+  language: 'en',
+  summary_length: 1500,
+  timezone: 'UTC',
+  retention_days: null,
+  summary_style: 'detailed',
+  // Extra summary instructions set by the chat's admins with /prompt
+  custom_prompt: null,
+  // Null uses the AI provider's default model
+  model: null
+};
+
+// Cached chunk summaries are only reused within this window
+const CHUNK_CACHE_MAX_AGE_DAYS = 7;
+
+// Marks code running inside Database.transaction(), whose statements must skip the connection lock
+const transactionContext = new AsyncLocalStorage();
+
+// How long a write waits for another process's transaction before failing with SQLITE_BUSY
+const BUSY_TIMEOUT_MS = 5000;
+
+// Pages copied per online backup step; writers can commit between steps
+const BACKUP_STEP_PAGES = 1000;
+// A step fails with SQLITE_BUSY while a batch is being written; retry for up to ~10 seconds
+const BACKUP_BUSY_RETRY_MS = 100;
+const BACKUP_MAX_BUSY_RETRIES = 100;
 
 class Database {
-  constructor() {
-    this.dbPath = process.env.DATABASE_PATH || './chat_data.db';
+  constructor(dbPath = null) {
+    this.dbPath = dbPath || process.env.DATABASE_PATH || './chat_data.db';
     this.db = null;
+    this.encryption = new Encryption();
+    // Tail of the queue for the shared connection; see withConnection()
+    this.connectionQueue = Promise.resolve();
   }
 
   async init() {
+    await this.connect();
+    await this.configure();
+    await this.migrate();
+    await this.checkEncryption();
+  }
+
+  connect() {
     return new Promise((resolve, reject) => {
       this.db = new sqlite3.Database(this.dbPath, (err) => {
         if (err) {
@@ -17,159 +73,608 @@ class Database {
           reject(err);
         } else {
           logger.info('Connected to SQLite database');
-          this.createTables().then(resolve).catch(reject);
+          resolve();
         }
       });
     });
   }
 
-  async createTables() {
-    const createMessagesTable = `
-      CREATE TABLE IF NOT EXISTS messages (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        message_id INTEGER NOT NULL,
-        chat_id INTEGER NOT NULL,
-        user_id INTEGER,
-        username TEXT,
-        first_name TEXT,
-        last_name TEXT,
-        text TEXT,
-        timestamp INTEGER NOT NULL,
-        message_type TEXT DEFAULT 'text',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
-
-    const createChatSettingsTable = `
-      CREATE TABLE IF NOT EXISTS chat_settings (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        chat_id INTEGER NOT NULL UNIQUE,
-        language TEXT DEFAULT 'en',
-        summary_length INTEGER DEFAULT 1500,
-        timezone TEXT DEFAULT 'UTC',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
-
-    const createSchedulesTable = `
-      CREATE TABLE IF NOT EXISTS schedules (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        chat_id INTEGER NOT NULL,
-        schedule_type TEXT NOT NULL,
-        interval_hours INTEGER NOT NULL,
-        next_run INTEGER NOT NULL,
-        is_active BOOLEAN DEFAULT 1,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
-
-    const createSummaryLogsTable = `
-      CREATE TABLE IF NOT EXISTS summary_logs (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        chat_id INTEGER NOT NULL,
-        summary_date DATE NOT NULL,
-        summary_count INTEGER DEFAULT 1,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(chat_id, summary_date)
-      )
-    `;
+  async configure() {
+    // WAL lets summaries read while batched writes are committed, and NORMAL sync is safe with it
+    const { journal_mode: journalMode } = await this.get('PRAGMA journal_mode = WAL');
+    await this.run('PRAGMA synchronous = NORMAL');
+    // Another process (the import script next to a running bot) may hold the write lock; wait instead of failing
+    await this.run(`PRAGMA busy_timeout = ${BUSY_TIMEOUT_MS}`);
+    logger.info(`SQLite journal mode: ${journalMode}`);
+  }
 
-    const createIndexes = [
-      'CREATE INDEX IF NOT EXISTS idx_chat_timestamp ON messages(chat_id, timestamp)',
-      'CREATE INDEX IF NOT EXISTS idx_chat_id ON messages(chat_id)',
-      'CREATE INDEX IF NOT EXISTS idx_timestamp ON messages(timestamp)',
-      'CREATE INDEX IF NOT EXISTS idx_chat_settings_chat_id ON chat_settings(chat_id)',
-      'CREATE INDEX IF NOT EXISTS idx_schedules_chat_id ON schedules(chat_id)',
-      'CREATE INDEX IF NOT EXISTS idx_schedules_next_run ON schedules(next_run, is_active)',
-      'CREATE INDEX IF NOT EXISTS idx_summary_logs_chat_date ON summary_logs(chat_id, summary_date)'
-    ];
+  async migrate(options = {}) {
+    // Brings older databases up to date; fresh ones are created by the same migrations
+    return new Migrator(this).migrate(options);
+  }
 
+  /**
+   * Copies the live database to a new file with SQLite's online backup API. The
+   * copy runs in steps, so message writes aren't blocked for the whole backup.
+   */
+  backupTo(destination) {
     return new Promise((resolve, reject) => {
-      this.db.run(createMessagesTable, (err) => {
+      const backup = this.db.backup(destination, (err) => {
         if (err) {
           reject(err);
           return;
         }
 
-        this.db.run(createChatSettingsTable, (err) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-
-          this.db.run(createSchedulesTable, (err) => {
-            if (err) {
-              reject(err);
-              return;
+        let busyRetries = 0;
+        const step = () => {
+          backup.step(BACKUP_STEP_PAGES, (stepErr) => {
+            // Busy and locked errors leave the backup open to be retried; anything else fails it
+            if (backup.failed || (stepErr && ++busyRetries > BACKUP_MAX_BUSY_RETRIES)) {
+              backup.finish(() => reject(stepErr || new Error(`Backup to ${destination} failed`)));
+            } else if (backup.completed) {
+              backup.finish(() => resolve());
+            } else if (stepErr) {
+              setTimeout(step, BACKUP_BUSY_RETRY_MS);
+            } else {
+              busyRetries = 0;
+              setImmediate(step);
             }
-
-            this.db.run(createSummaryLogsTable, (err) => {
-              if (err) {
-                reject(err);
-                return;
-              }
-
-              // Create indexes
-              Promise.all(
-                createIndexes.map(sql => new Promise((res, rej) => {
-                  this.db.run(sql, (err) => err ? rej(err) : res());
-                }))
-              ).then(resolve).catch(reject);
-            });
           });
-        });
+        };
+
+        step();
       });
     });
   }
 
-  async saveMessage(messageData) {
-    const sql = `
-      INSERT INTO messages 
-      (message_id, chat_id, user_id, username, first_name, last_name, text, timestamp, message_type)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
+  /**
+   * Refuses to start when stored data can't be read with the configured keys,
+   * rather than failing on every summary later. Also runs on backups that
+   * aren't migrated yet, so only the tables the file has are sampled.
+   */
+  async checkEncryption() {
+    const samples = [
+      ['messages', 'text'],
+      ['messages', 'first_name'],
+      ['message_revisions', 'text'],
+      ['summaries', 'text']
+    ];
+    const tables = new Set((await this.all("SELECT name FROM sqlite_master WHERE type = 'table'")).map(row => row.name));
+    const queries = samples
+      .filter(([table]) => tables.has(table))
+      .map(([table, column]) => `(SELECT ${column} FROM ${table} WHERE ${column} LIKE 'enc:%' LIMIT 1)`);
 
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, [
-        messageData.message_id,
-        messageData.chat_id,
-        messageData.user_id,
-        messageData.username,
-        messageData.first_name,
-        messageData.last_name,
-        messageData.text,
-        messageData.timestamp,
-        messageData.message_type
-      ], function(err) {
+    const encrypted = await this.get(`SELECT COALESCE(${queries.join(', ')}, NULL) AS value`);
+
+    if (encrypted.value) {
+      if (!this.encryption.enabled) {
+        throw new Error('The database contains encrypted messages but ENCRYPTION_KEY is not set');
+      }
+
+      try {
+        this.encryption.decrypt(encrypted.value);
+      } catch (error) {
+        throw new Error(`Stored messages can't be decrypted with the configured keys: ${error.message}`);
+      }
+    }
+
+    if (this.encryption.enabled) {
+      const plaintext = await this.get(
+        "SELECT 1 AS found FROM messages WHERE text NOT LIKE 'enc:%' OR first_name NOT LIKE 'enc:%' LIMIT 1"
+      );
+      if (plaintext) {
+        logger.warn('Encryption is enabled but some messages are stored in plaintext; run "npm run encrypt" to encrypt them');
+      }
+      logger.info('Encryption at rest is enabled');
+    }
+  }
+
+  encryptRow(table, row) {
+    const encrypted = { ...row };
+    for (const column of ENCRYPTED_COLUMNS[table]) {
+      encrypted[column] = this.encryption.encrypt(row[column]);
+    }
+    return encrypted;
+  }
+
+  decryptRow(table, row) {
+    if (!row) {
+      return row;
+    }
+
+    const decrypted = { ...row };
+    for (const column of ENCRYPTED_COLUMNS[table]) {
+      decrypted[column] = this.encryption.decrypt(row[column]);
+    }
+    return decrypted;
+  }
+
+  encryptMessage(messageData) {
+    return this.encryptRow('messages', messageData);
+  }
+
+  decryptMessage(row) {
+    return this.decryptRow('messages', row);
+  }
+
+  /**
+   * Runs fn with the connection to itself. Everything shares one sqlite3
+   * connection, so a statement issued while another caller's transaction is
+   * open would silently become part of it (and a second BEGIN would fail).
+   * Statements and transactions therefore take turns, in the order they were
+   * issued; code inside a transaction already holds the connection.
+   */
+  withConnection(fn) {
+    if (transactionContext.getStore() === this) {
+      return fn();
+    }
+
+    const previous = this.connectionQueue;
+    let release;
+    this.connectionQueue = new Promise(resolve => {
+      release = resolve;
+    });
+
+    return previous.then(fn).finally(release);
+  }
+
+  /**
+   * Runs fn in a transaction. Statements fn issues, directly or through other
+   * Database methods, belong to the transaction; everyone else waits until it
+   * is committed, or rolled back when fn throws.
+   */
+  transaction(fn) {
+    if (transactionContext.getStore() === this) {
+      return fn();
+    }
+
+    return this.withConnection(() => transactionContext.run(this, async () => {
+      await this.run('BEGIN IMMEDIATE');
+
+      try {
+        const result = await fn();
+        await this.run('COMMIT');
+        return result;
+      } catch (error) {
+        await this.run('ROLLBACK').catch(() => {});
+        throw error;
+      }
+    }));
+  }
+
+  run(sql, params = []) {
+    return this.withConnection(() => new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
         if (err) {
           reject(err);
         } else {
-          resolve(this.lastID);
+          resolve({ lastID: this.lastID, changes: this.changes });
         }
       });
-    });
+    }));
   }
 
-  async getMessages(chatId, startTime, endTime, limit = 1000) {
-    const sql = `
-      SELECT * FROM messages 
-      WHERE chat_id = ? AND timestamp BETWEEN ? AND ?
-      ORDER BY timestamp ASC
-      LIMIT ?
-    `;
+  get(sql, params = []) {
+    return this.withConnection(() => new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    }));
+  }
 
-    return new Promise((resolve, reject) => {
-      this.db.all(sql, [chatId, startTime, endTime, limit], (err, rows) => {
+  all(sql, params = []) {
+    return this.withConnection(() => new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
         if (err) {
           reject(err);
         } else {
           resolve(rows);
         }
       });
+    }));
+  }
+
+  async saveMessage(messageData) {
+    const sql = `
+      INSERT OR IGNORE INTO messages 
+      (message_id, chat_id, user_id, username, first_name, last_name, text, timestamp, message_type,
+       reply_to_message_id, message_thread_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const { lastID } = await this.run(sql, this.getMessageParams(messageData));
+    return lastID;
+  }
+
+  getMessageParams(message) {
+    const messageData = this.encryptMessage(message);
+    return [
+      messageData.message_id,
+      messageData.chat_id,
+      messageData.user_id,
+      messageData.username,
+      messageData.first_name,
+      messageData.last_name,
+      messageData.text,
+      messageData.timestamp,
+      messageData.message_type,
+      messageData.reply_to_message_id || null,
+      messageData.message_thread_id || null
+    ];
+  }
+
+  /**
+   * Writes buffered entries ({ message, pollId, links }) in a single transaction.
+   * A failing entry is counted and skipped; the rest of the batch is still committed.
+   * `inserted` excludes duplicates and opted-out users that were skipped. Throws,
+   * with nothing written, when the transaction itself fails.
+   */
+  async saveMessageBatch(entries) {
+    // The opt-out check happens here too, since a user may opt out while their messages are queued
+    const sql = `
+      INSERT OR IGNORE INTO messages 
+      (message_id, chat_id, user_id, username, first_name, last_name, text, timestamp, message_type,
+       reply_to_message_id, message_thread_id)
+      SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+      WHERE NOT EXISTS (SELECT 1 FROM opted_out_users WHERE chat_id = ? AND user_id = ?)
+    `;
+
+    let saved = 0;
+    let inserted = 0;
+    let failed = 0;
+
+    await this.transaction(async () => {
+      for (const { message, pollId, links = [] } of entries) {
+        try {
+          const { changes } = await this.run(sql, [...this.getMessageParams(message), message.chat_id, message.user_id]);
+          inserted += changes;
+
+          // Nothing was stored for duplicates and opted-out users, so their polls and links aren't either
+          if (changes > 0 && pollId) {
+            await this.savePoll(pollId, message.chat_id, message.message_id);
+          }
+
+          if (changes > 0 && links.length > 0) {
+            await this.saveLinks(links);
+          }
+
+          saved++;
+        } catch (error) {
+          failed++;
+          logger.error(`Error saving buffered message ${message.message_id} from chat ${message.chat_id}:`, error);
+        }
+      }
     });
+
+    return { saved, inserted, failed };
+  }
+
+  async saveMessageEdit(messageData, editDate) {
+    const { chat_id: chatId, message_id: messageId, text } = messageData;
+
+    const existing = await this.get(
+      'SELECT text, timestamp FROM messages WHERE chat_id = ? AND message_id = ?',
+      [chatId, messageId]
+    );
+
+    if (!existing) {
+      // The original was never stored (sent before the bot joined or while it was offline)
+      await this.saveMessage(messageData);
+      await this.addMessageRevision(chatId, messageId, text, editDate);
+      return true;
+    }
+
+    const existingText = this.encryption.decrypt(existing.text);
+
+    if (existingText === text) {
+      return false;
+    }
+
+    const revisionCount = await this.get(
+      'SELECT COUNT(*) as count FROM message_revisions WHERE chat_id = ? AND message_id = ?',
+      [chatId, messageId]
+    );
+
+    // Keep the original text as the first revision so the history is complete
+    if (revisionCount.count === 0) {
+      await this.addMessageRevision(chatId, messageId, existingText, existing.timestamp);
+    }
+
+    await this.addMessageRevision(chatId, messageId, text, editDate);
+    await this.run(
+      'UPDATE messages SET text = ? WHERE chat_id = ? AND message_id = ?',
+      [this.encryption.encrypt(text), chatId, messageId]
+    );
+    await this.invalidateChunkSummaries(chatId, messageId);
+
+    return true;
+  }
+
+  async addMessageRevision(chatId, messageId, text, editDate) {
+    const sql = `
+      INSERT INTO message_revisions (chat_id, message_id, text, edit_date)
+      VALUES (?, ?, ?, ?)
+    `;
+
+    const { lastID } = await this.run(sql, [chatId, messageId, this.encryption.encrypt(text), editDate]);
+    return lastID;
+  }
+
+  async getMessageRevisions(chatId, messageId) {
+    const sql = `
+      SELECT * FROM message_revisions
+      WHERE chat_id = ? AND message_id = ?
+      ORDER BY edit_date ASC, id ASC
+    `;
+
+    const revisions = await this.all(sql, [chatId, messageId]);
+    return revisions.map(revision => ({ ...revision, text: this.encryption.decrypt(revision.text) }));
+  }
+
+  async savePoll(pollId, chatId, messageId) {
+    const sql = 'INSERT OR IGNORE INTO polls (poll_id, chat_id, message_id) VALUES (?, ?, ?)';
+    const { changes } = await this.run(sql, [pollId, chatId, messageId]);
+    return changes;
+  }
+
+  async updatePollText(pollId, text) {
+    // Poll updates only carry the poll id, so find the message through the polls table
+    const sql = `
+      UPDATE messages SET text = ?
+      WHERE (chat_id, message_id) IN (SELECT chat_id, message_id FROM polls WHERE poll_id = ?)
+    `;
+
+    const { changes } = await this.run(sql, [this.encryption.encrypt(text), pollId]);
+
+    const poll = await this.get('SELECT chat_id, message_id FROM polls WHERE poll_id = ?', [pollId]);
+    if (poll) {
+      await this.invalidateChunkSummaries(poll.chat_id, poll.message_id);
+    }
+
+    return changes;
+  }
+
+  async getMessages(chatId, startTime, endTime, limit = 1000, options = {}) {
+    const { threadId = null } = options;
+    // Opted-out rows are deleted on opt-out; this also hides anything stored around that moment
+    let sql = `
+      SELECT * FROM messages 
+      WHERE chat_id = ? AND timestamp BETWEEN ? AND ?
+        AND (user_id IS NULL OR user_id NOT IN (SELECT user_id FROM opted_out_users WHERE chat_id = ?))
+    `;
+    const params = [chatId, startTime, endTime, chatId];
+
+    // Restrict to a single forum topic when requested
+    if (threadId) {
+      sql += ' AND message_thread_id = ?';
+      params.push(threadId);
+    }
+
+    sql += ' ORDER BY timestamp ASC LIMIT ?';
+    params.push(limit);
+
+    const rows = await this.all(sql, params);
+    return rows.map(row => this.decryptMessage(row));
+  }
+
+  /**
+   * Ranked full-text search within one chat. Every whitespace-separated term must
+   * match (as a word prefix), or any of them with matchAll false; the snippet
+   * wraps matches in the given markers. Options: startTime, endTime, username
+   * (matches username or first name), limit, offset, snippetStart, snippetEnd,
+   * matchAll.
+   */
+  async searchMessages(chatId, query, options = {}) {
+    const {
+      startTime = null,
+      endTime = null,
+      username = null,
+      limit = 10,
+      offset = 0,
+      snippetStart = '[',
+      snippetEnd = ']',
+      matchAll = true
+    } = options;
+
+    if (this.encryption.enabled) {
+      return this.scanMessages(chatId, query, options);
+    }
+
+    const matchQuery = this.buildSearchQuery(query, { matchAll });
+    if (!matchQuery) {
+      return [];
+    }
+
+    let sql = `
+      SELECT m.*, snippet(messages_fts, 0, ?, ?, '…', 16) AS snippet
+      FROM messages_fts
+      JOIN messages m ON m.id = messages_fts.rowid
+      WHERE messages_fts MATCH ? AND m.chat_id = ?
+        AND (m.user_id IS NULL OR m.user_id NOT IN (SELECT user_id FROM opted_out_users WHERE chat_id = ?))
+    `;
+    const params = [snippetStart, snippetEnd, matchQuery, chatId, chatId];
+
+    if (startTime !== null && endTime !== null) {
+      sql += ' AND m.timestamp BETWEEN ? AND ?';
+      params.push(startTime, endTime);
+    }
+
+    if (username) {
+      sql += ' AND (LOWER(m.username) = LOWER(?) OR LOWER(m.first_name) = LOWER(?))';
+      params.push(username, username);
+    }
+
+    sql += ' ORDER BY bm25(messages_fts), m.timestamp DESC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+
+    return this.all(sql, params);
+  }
+
+  /**
+   * searchMessages for encrypted chats: decrypts the most recent messages in the
+   * period and matches them in process. Ranks by number of matches, then recency.
+   */
+  async scanMessages(chatId, query, options = {}) {
+    const {
+      startTime = null,
+      endTime = null,
+      username = null,
+      limit = 10,
+      offset = 0,
+      snippetStart = '[',
+      snippetEnd = ']',
+      matchAll = true
+    } = options;
+
+    const terms = parseTerms(query);
+    if (terms.length === 0) {
+      return [];
+    }
+
+    let sql = `
+      SELECT * FROM messages
+      WHERE chat_id = ?
+        AND (user_id IS NULL OR user_id NOT IN (SELECT user_id FROM opted_out_users WHERE chat_id = ?))
+    `;
+    const params = [chatId, chatId];
+
+    if (startTime !== null && endTime !== null) {
+      sql += ' AND timestamp BETWEEN ? AND ?';
+      params.push(startTime, endTime);
+    }
+
+    sql += ' ORDER BY timestamp DESC LIMIT ?';
+    params.push(SEARCH_SCAN_LIMIT);
+
+    const rows = await this.all(sql, params);
+    const wanted = username ? username.toLowerCase() : null;
+    const results = [];
+
+    for (const row of rows) {
+      const message = this.decryptMessage(row);
+
+      if (wanted && (message.username || '').toLowerCase() !== wanted && (message.first_name || '').toLowerCase() !== wanted) {
+        continue;
+      }
+
+      const match = matchText(message.text, terms, { snippetStart, snippetEnd, matchAll });
+      if (match) {
+        results.push({ ...message, snippet: match.snippet, score: match.score, matched: match.matched });
+      }
+    }
+
+    // Messages with more of the terms first; stable sort keeps the newest-first order among equally good matches
+    results.sort((a, b) => b.matched - a.matched || b.score - a.score);
+    return results.slice(offset, offset + limit).map(({ score, matched, ...message }) => message);
+  }
+
+  buildSearchQuery(query, { matchAll = true } = {}) {
+    // Quote every term so user input can't inject FTS5 syntax (AND, NEAR, column filters...)
+    const terms = (query || '')
+      .split(/\s+/)
+      .map(term => term.replace(/"/g, ''))
+      .filter(Boolean);
+
+    return terms.map(term => `"${term}"*`).join(matchAll ? ' ' : ' OR ');
+  }
+
+  /**
+   * A message with up to `radius` stored messages before and after it, in
+   * chronological order, leaving out opted-out users like getMessages does.
+   */
+  async getMessagesAround(chatId, messageId, radius) {
+    const optedOut = 'AND (user_id IS NULL OR user_id NOT IN (SELECT user_id FROM opted_out_users WHERE chat_id = ?))';
+    const anchor = await this.get('SELECT timestamp FROM messages WHERE chat_id = ? AND message_id = ?', [chatId, messageId]);
+    if (!anchor) {
+      return [];
+    }
+
+    const before = await this.all(`
+      SELECT * FROM messages
+      WHERE chat_id = ? AND (timestamp < ? OR (timestamp = ? AND message_id <= ?)) ${optedOut}
+      ORDER BY timestamp DESC, message_id DESC LIMIT ?
+    `, [chatId, anchor.timestamp, anchor.timestamp, messageId, chatId, radius + 1]);
+    const after = await this.all(`
+      SELECT * FROM messages
+      WHERE chat_id = ? AND (timestamp > ? OR (timestamp = ? AND message_id > ?)) ${optedOut}
+      ORDER BY timestamp ASC, message_id ASC LIMIT ?
+    `, [chatId, anchor.timestamp, anchor.timestamp, messageId, chatId, radius]);
+
+    return [...before.reverse(), ...after].map(row => this.decryptMessage(row));
+  }
+
+  async saveLinks(links) {
+    const sql = `
+      INSERT OR IGNORE INTO shared_links
+      (chat_id, message_id, message_thread_id, user_id, username, first_name, url, domain, timestamp)
+      SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?
+      WHERE NOT EXISTS (SELECT 1 FROM opted_out_users WHERE chat_id = ? AND user_id = ?)
+    `;
+
+    // Encrypted urls differ on every write, so the unique index can't catch a link an edit repeats
+    const storedUrls = new Map();
+
+    let saved = 0;
+    for (const link of links) {
+      const messageKey = `${link.chat_id}:${link.message_id}`;
+      if (!storedUrls.has(messageKey)) {
+        const rows = await this.all('SELECT url FROM shared_links WHERE chat_id = ? AND message_id = ?', [link.chat_id, link.message_id]);
+        storedUrls.set(messageKey, new Set(rows.map(row => this.encryption.decrypt(row.url))));
+      }
+      if (storedUrls.get(messageKey).has(link.url)) {
+        continue;
+      }
+
+      const encrypted = this.encryptRow('shared_links', link);
+      const { changes } = await this.run(sql, [
+        link.chat_id,
+        link.message_id,
+        link.message_thread_id || null,
+        link.user_id,
+        encrypted.username,
+        encrypted.first_name,
+        encrypted.url,
+        link.domain,
+        link.timestamp,
+        link.chat_id,
+        link.user_id
+      ]);
+      storedUrls.get(messageKey).add(link.url);
+      saved += changes;
+    }
+
+    return saved;
+  }
+
+  async getLinks(chatId, startTime, endTime, options = {}) {
+    const { domain = null, threadId = null, limit = 500 } = options;
+    let sql = `
+      SELECT * FROM shared_links
+      WHERE chat_id = ? AND timestamp BETWEEN ? AND ?
+        AND (user_id IS NULL OR user_id NOT IN (SELECT user_id FROM opted_out_users WHERE chat_id = ?))
+    `;
+    const params = [chatId, startTime, endTime, chatId];
+
+    if (domain) {
+      // Match the domain itself and any of its subdomains
+      sql += " AND (domain = ? OR domain LIKE '%.' || ?)";
+      params.push(domain, domain);
+    }
+
+    if (threadId) {
+      sql += ' AND message_thread_id = ?';
+      params.push(threadId);
+    }
+
+    sql += ' ORDER BY timestamp ASC LIMIT ?';
+    params.push(limit);
+
+    const rows = await this.all(sql, params);
+    return rows.map(row => this.decryptRow('shared_links', row));
   }
 
   async getChatStats(chatId) {
@@ -183,152 +688,427 @@ class Database {
       WHERE chat_id = ?
     `;
 
-    return new Promise((resolve, reject) => {
-      this.db.get(sql, [chatId], (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(row);
-        }
-      });
-    });
+    return this.get(sql, [chatId]);
   }
 
   async clearChatHistory(chatId) {
-    const sql = 'DELETE FROM messages WHERE chat_id = ?';
-    
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, [chatId], function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(this.changes);
-        }
-      });
-    });
+    await this.run('DELETE FROM summaries WHERE chat_id = ?', [chatId]);
+    await this.run('DELETE FROM summary_chunks WHERE chat_id = ?', [chatId]);
+    await this.run('DELETE FROM action_items WHERE chat_id = ?', [chatId]);
+    await this.run('DELETE FROM message_revisions WHERE chat_id = ?', [chatId]);
+    await this.run('DELETE FROM polls WHERE chat_id = ?', [chatId]);
+    await this.run('DELETE FROM shared_links WHERE chat_id = ?', [chatId]);
+    const { changes } = await this.run('DELETE FROM messages WHERE chat_id = ?', [chatId]);
+    return changes;
   }
 
-  async getChatSettings(chatId) {
-    const sql = 'SELECT * FROM chat_settings WHERE chat_id = ?';
-    
-    return new Promise((resolve, reject) => {
-      this.db.get(sql, [chatId], (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          // Return default settings if none exist
-          resolve(row || { 
-            chat_id: chatId, 
-            language: 'en', 
-            summary_length: 1500,
-            timezone: 'UTC'
-          });
-        }
-      });
-    });
+  async purgeExpiredMessages() {
+    const chats = await this.all(`
+      SELECT stored.chat_id, settings.retention_days
+      FROM (SELECT DISTINCT chat_id FROM messages) stored
+      LEFT JOIN chat_settings settings ON settings.chat_id = stored.chat_id
+    `);
+
+    const now = Math.floor(Date.now() / 1000);
+    const result = { chats: 0, deleted: 0 };
+
+    for (const chat of chats) {
+      const retentionDays = this.getEffectiveRetentionDays(chat.retention_days);
+      if (!retentionDays) {
+        continue;
+      }
+
+      const deleted = await this.deleteMessagesBefore(chat.chat_id, now - retentionDays * 86400);
+      if (deleted > 0) {
+        result.chats++;
+        result.deleted += deleted;
+      }
+    }
+
+    await this.run(
+      "DELETE FROM summary_chunks WHERE created_at < datetime('now', ?)",
+      [`-${CHUNK_CACHE_MAX_AGE_DAYS} days`]
+    );
+
+    return result;
+  }
+
+  async deleteMessagesBefore(chatId, cutoff) {
+    // Derived rows first, while the messages they belong to can still be looked up
+    const expiredMessageIds = 'SELECT message_id FROM messages WHERE chat_id = ? AND timestamp < ?';
+
+    await this.run(
+      `DELETE FROM message_revisions WHERE chat_id = ? AND message_id IN (${expiredMessageIds})`,
+      [chatId, chatId, cutoff]
+    );
+    await this.run(
+      `DELETE FROM polls WHERE chat_id = ? AND message_id IN (${expiredMessageIds})`,
+      [chatId, chatId, cutoff]
+    );
+    await this.run('DELETE FROM shared_links WHERE chat_id = ? AND timestamp < ?', [chatId, cutoff]);
+    // Summaries are derived from the messages too; drop those that only covered expired ones
+    await this.run('DELETE FROM summaries WHERE chat_id = ? AND period_end < ?', [chatId, cutoff]);
+    await this.run(
+      `DELETE FROM summary_chunks WHERE chat_id = ? AND first_message_id IN (${expiredMessageIds})`,
+      [chatId, chatId, cutoff]
+    );
+    // Open action items stay on the list until someone marks them done
+    await this.run(
+      `DELETE FROM action_items WHERE chat_id = ? AND status = 'done' AND source_message_id IN (${expiredMessageIds})`,
+      [chatId, chatId, cutoff]
+    );
+
+    const { changes } = await this.run('DELETE FROM messages WHERE chat_id = ? AND timestamp < ?', [chatId, cutoff]);
+    return changes;
   }
 
-  async setChatLanguage(chatId, language) {
+  async optOutUser(chatId, userId, displayName) {
     const sql = `
-      INSERT OR REPLACE INTO chat_settings (
-        id, chat_id, language, summary_length, timezone, created_at, updated_at
-      ) VALUES (
-        (SELECT id FROM chat_settings WHERE chat_id = ?),
-        ?, ?, 
-        COALESCE((SELECT summary_length FROM chat_settings WHERE chat_id = ?), 1500),
-        COALESCE((SELECT timezone FROM chat_settings WHERE chat_id = ?), 'UTC'),
-        COALESCE((SELECT created_at FROM chat_settings WHERE chat_id = ?), CURRENT_TIMESTAMP),
-        CURRENT_TIMESTAMP
+      INSERT INTO opted_out_users (chat_id, user_id, display_name)
+      VALUES (?, ?, ?)
+      ON CONFLICT(chat_id, user_id) DO UPDATE SET display_name = excluded.display_name
+    `;
+
+    await this.run(sql, [chatId, userId, this.encryption.encrypt(displayName)]);
+    return this.deleteUserMessages(chatId, userId);
+  }
+
+  async optInUser(chatId, userId) {
+    const { changes } = await this.run(
+      'DELETE FROM opted_out_users WHERE chat_id = ? AND user_id = ?',
+      [chatId, userId]
+    );
+    return changes;
+  }
+
+  /**
+   * The user who last posted in the chat under this username (case-insensitive,
+   * without "@"), or null. Usernames may be encrypted, so each user's latest row
+   * is decrypted and compared here rather than in SQL.
+   */
+  async findUserByUsername(chatId, username) {
+    const rows = await this.all(`
+      SELECT user_id, username, first_name, last_name, MAX(timestamp) AS last_seen
+      FROM messages
+      WHERE chat_id = ? AND user_id IS NOT NULL
+      GROUP BY user_id
+    `, [chatId]);
+
+    const wanted = username.replace(/^@/, '').toLowerCase();
+    const user = rows
+      .map(row => this.decryptMessage(row))
+      .find(row => (row.username || '').toLowerCase() === wanted);
+
+    return user || null;
+  }
+
+  async isUserOptedOut(chatId, userId) {
+    const row = await this.get(
+      'SELECT 1 as opted_out FROM opted_out_users WHERE chat_id = ? AND user_id = ?',
+      [chatId, userId]
+    );
+    return !!row;
+  }
+
+  async getOptedOutUsers(chatId) {
+    const rows = await this.all(
+      'SELECT user_id, display_name, created_at FROM opted_out_users WHERE chat_id = ? ORDER BY created_at ASC',
+      [chatId]
+    );
+    return rows.map(row => this.decryptRow('opted_out_users', row));
+  }
+
+  async deleteUserMessages(chatId, userId) {
+    await this.run(`
+      DELETE FROM message_revisions
+      WHERE chat_id = ? AND message_id IN (SELECT message_id FROM messages WHERE chat_id = ? AND user_id = ?)
+    `, [chatId, chatId, userId]);
+
+    await this.run('DELETE FROM shared_links WHERE chat_id = ? AND user_id = ?', [chatId, userId]);
+
+    // Cached chunk summaries may quote the user, so drop every chunk that spans one of their messages
+    await this.run(`
+      DELETE FROM summary_chunks
+      WHERE chat_id = ? AND EXISTS (
+        SELECT 1 FROM messages
+        WHERE messages.chat_id = ? AND messages.user_id = ?
+          AND messages.message_id BETWEEN summary_chunks.first_message_id AND summary_chunks.last_message_id
       )
+    `, [chatId, chatId, userId]);
+
+    await this.run(`
+      DELETE FROM action_items
+      WHERE chat_id = ? AND source_message_id IN (SELECT message_id FROM messages WHERE chat_id = ? AND user_id = ?)
+    `, [chatId, chatId, userId]);
+
+    const { changes } = await this.run(
+      'DELETE FROM messages WHERE chat_id = ? AND user_id = ?',
+      [chatId, userId]
+    );
+    return changes;
+  }
+
+  async saveSummary(summary) {
+    const sql = `
+      INSERT INTO summaries
+      (chat_id, message_thread_id, period_start, period_end, period_description, language,
+       summary_length, model, message_count, text, source, requested_by, participants, cached)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
-    
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, [chatId, chatId, language, chatId, chatId, chatId], function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(this.lastID || this.changes);
-        }
-      });
-    });
+
+    const { lastID } = await this.run(sql, [
+      summary.chat_id,
+      summary.message_thread_id || null,
+      summary.period_start,
+      summary.period_end,
+      summary.period_description,
+      summary.language,
+      summary.summary_length,
+      summary.model,
+      summary.message_count,
+      this.encryption.encrypt(summary.text),
+      summary.source || 'command',
+      summary.requested_by || null,
+      this.encryption.encrypt(summary.participants || null),
+      summary.cached ? 1 : 0
+    ]);
+    return lastID;
   }
 
-  async setSummaryLength(chatId, length) {
+  async getRecentSummaries(chatId, limit = 10) {
+    const rows = await this.all(
+      'SELECT * FROM summaries WHERE chat_id = ? ORDER BY created_at DESC, id DESC LIMIT ?',
+      [chatId, limit]
+    );
+    return rows.map(row => this.decryptRow('summaries', row));
+  }
+
+  /**
+   * Requests sent to the model today: stored summaries that weren't served from
+   * the cache plus the other requests logged with recordModelUsage(). created_at
+   * is UTC, so model caps reset at midnight UTC.
+   */
+  async countModelUsageToday(model) {
+    const row = await this.get(`
+      SELECT
+        (SELECT COUNT(*) FROM summaries WHERE model = ? AND cached = 0 AND created_at >= date('now')) +
+        (SELECT COUNT(*) FROM model_usage WHERE model = ? AND created_at >= date('now')) AS count
+    `, [model, model]);
+    return row.count;
+  }
+
+  // An AI request that doesn't store a summary (kind is e.g. "ask"), counted toward the model's cap
+  async recordModelUsage(chatId, model, kind) {
+    // Only today's requests are ever counted
+    await this.run("DELETE FROM model_usage WHERE created_at < date('now')");
+
+    const { lastID } = await this.run(
+      'INSERT INTO model_usage (chat_id, model, kind) VALUES (?, ?, ?)',
+      [chatId, model, kind]
+    );
+    return lastID;
+  }
+
+  /**
+   * Cached chunk summaries lying within [firstMessageId, lastMessageId] for the
+   * language and model, ordered by where they start (longest first on ties).
+   */
+  async getChunkSummaries(chatId, { firstMessageId, lastMessageId, language, model }) {
+    const rows = await this.all(`
+      SELECT * FROM summary_chunks
+      WHERE chat_id = ? AND first_message_id >= ? AND last_message_id <= ? AND language = ? AND model = ?
+        AND created_at >= datetime('now', ?)
+      ORDER BY first_message_id ASC, last_message_id DESC
+    `, [chatId, firstMessageId, lastMessageId, language, model, `-${CHUNK_CACHE_MAX_AGE_DAYS} days`]);
+    return rows.map(row => this.decryptRow('summary_chunks', row));
+  }
+
+  async saveChunkSummary(chunk) {
     const sql = `
-      INSERT OR REPLACE INTO chat_settings (
-        id, chat_id, language, summary_length, timezone, created_at, updated_at
-      ) VALUES (
-        (SELECT id FROM chat_settings WHERE chat_id = ?),
-        ?, 
-        COALESCE((SELECT language FROM chat_settings WHERE chat_id = ?), 'en'),
-        ?, 
-        COALESCE((SELECT timezone FROM chat_settings WHERE chat_id = ?), 'UTC'),
-        COALESCE((SELECT created_at FROM chat_settings WHERE chat_id = ?), CURRENT_TIMESTAMP),
-        CURRENT_TIMESTAMP
-      )
+      INSERT OR REPLACE INTO summary_chunks
+      (chat_id, first_message_id, last_message_id, overlap, content_hash, language, model, text)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
     `;
+
+    const { lastID } = await this.run(sql, [
+      chunk.chat_id,
+      chunk.first_message_id,
+      chunk.last_message_id,
+      chunk.overlap,
+      chunk.content_hash,
+      chunk.language,
+      chunk.model,
+      this.encryption.encrypt(chunk.text)
+    ]);
+    return lastID;
+  }
+
+  // Message ids grow within a chat, so a chunk contains every message whose id lies in its range
+  async invalidateChunkSummaries(chatId, messageId) {
+    const { changes } = await this.run(
+      'DELETE FROM summary_chunks WHERE chat_id = ? AND ? BETWEEN first_message_id AND last_message_id',
+      [chatId, messageId]
+    );
+    return changes;
+  }
+
+  /**
+   * Action items in list order. Owners are stored without "@", so the owner
+   * filter matches "alice" and "@Alice" alike. Owners may be encrypted, so the
+   * filter is applied after decrypting.
+   */
+  async getActionItems(chatId, { status = 'open', owner = null } = {}) {
+    const rows = await this.all(
+      'SELECT * FROM action_items WHERE chat_id = ? AND status = ? ORDER BY item_number ASC',
+      [chatId, status]
+    );
+    const items = rows.map(row => this.decryptRow('action_items', row));
+
+    if (!owner) {
+      return items;
+    }
+
+    const wanted = owner.replace(/^@/, '').toLowerCase();
+    return items.filter(item => (item.owner || '').toLowerCase() === wanted);
+  }
+
+  /**
+   * Adds newly extracted items, skipping any already tracked: the same task from
+   * the same message (open or done), or an open item with the same task and
+   * owner. Resolves with the items that were added, numbered for this chat.
+   */
+  async saveActionItems(chatId, items) {
+    const normalize = (text) => (text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    const existing = await this.all('SELECT task, owner, source_message_id, status FROM action_items WHERE chat_id = ?', [chatId]);
+    const seen = new Set();
+
+    for (const item of existing.map(row => this.decryptRow('action_items', row))) {
+      seen.add(`msg:${item.source_message_id}:${normalize(item.task)}`);
+      if (item.status === 'open') {
+        seen.add(`open:${normalize(item.owner)}:${normalize(item.task)}`);
+      }
+    }
+
+    const added = [];
+    for (const item of items) {
+      const keys = [
+        `msg:${item.source_message_id}:${normalize(item.task)}`,
+        `open:${normalize(item.owner)}:${normalize(item.task)}`
+      ];
+      if (keys.some(key => seen.has(key))) {
+        continue;
+      }
+      keys.forEach(key => seen.add(key));
+
+      // Numbering in the same statement keeps two concurrent /todo runs from taking the same number
+      const { lastID } = await this.run(`
+        INSERT INTO action_items (chat_id, item_number, task, owner, due_date, source_message_id)
+        VALUES (?, (SELECT COALESCE(MAX(item_number), 0) + 1 FROM action_items WHERE chat_id = ?), ?, ?, ?, ?)
+      `, [
+        chatId,
+        chatId,
+        this.encryption.encrypt(item.task),
+        this.encryption.encrypt(item.owner || null),
+        this.encryption.encrypt(item.due_date || null),
+        item.source_message_id || null
+      ]);
+
+      added.push(this.decryptRow('action_items', await this.get('SELECT * FROM action_items WHERE id = ?', [lastID])));
+    }
+
+    return added;
+  }
+
+  // Resolves with the completed item, or null when there is no open item with that number
+  async completeActionItem(chatId, itemNumber, userId) {
+    const { changes } = await this.run(`
+      UPDATE action_items SET status = 'done', done_at = CURRENT_TIMESTAMP, done_by = ?
+      WHERE chat_id = ? AND item_number = ? AND status = 'open'
+    `, [userId, chatId, itemNumber]);
+
+    if (changes === 0) {
+      return null;
+    }
+    const item = await this.get('SELECT * FROM action_items WHERE chat_id = ? AND item_number = ?', [chatId, itemNumber]);
+    return this.decryptRow('action_items', item);
+  }
+
+  async getSummary(chatId, summaryId) {
+    const summary = await this.get('SELECT * FROM summaries WHERE chat_id = ? AND id = ?', [chatId, summaryId]);
+    return this.decryptRow('summaries', summary);
+  }
+
+  async getChatSettings(chatId) {
+    const sql = 'SELECT * FROM chat_settings WHERE chat_id = ?';
     
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, [chatId, chatId, chatId, length, chatId, chatId], function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(this.lastID || this.changes);
-        }
-      });
-    });
+    const row = await this.get(sql, [chatId]);
+    // Return default settings if none exist
+    return row || { chat_id: chatId, ...CHAT_SETTING_DEFAULTS };
   }
 
-  async setChatTimezone(chatId, timezone) {
+  /**
+   * Changes some of a chat's settings, e.g. { language: 'es' }. A chat without a
+   * row gets one, with column defaults for everything else. Adding a setting
+   * takes a migration for the column and an entry in CHAT_SETTING_DEFAULTS.
+   */
+  async updateChatSettings(chatId, changes) {
+    const columns = Object.keys(changes);
+    const unknown = columns.filter(column => !(column in CHAT_SETTING_DEFAULTS));
+
+    if (unknown.length > 0) {
+      throw new Error(`Unknown chat settings: ${unknown.join(', ')}`);
+    }
+
+    if (columns.length === 0) {
+      return 0;
+    }
+
     const sql = `
-      INSERT OR REPLACE INTO chat_settings (
-        id, chat_id, language, summary_length, timezone, created_at, updated_at
-      ) VALUES (
-        (SELECT id FROM chat_settings WHERE chat_id = ?),
-        ?, 
-        COALESCE((SELECT language FROM chat_settings WHERE chat_id = ?), 'en'),
-        COALESCE((SELECT summary_length FROM chat_settings WHERE chat_id = ?), 1500),
-        ?, 
-        COALESCE((SELECT created_at FROM chat_settings WHERE chat_id = ?), CURRENT_TIMESTAMP),
-        CURRENT_TIMESTAMP
-      )
+      INSERT INTO chat_settings (chat_id, ${columns.join(', ')})
+      VALUES (?, ${columns.map(() => '?').join(', ')})
+      ON CONFLICT(chat_id) DO UPDATE SET
+        ${columns.map(column => `${column} = excluded.${column}`).join(', ')},
+        updated_at = CURRENT_TIMESTAMP
     `;
-    
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, [chatId, chatId, chatId, chatId, timezone, chatId], function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(this.lastID || this.changes);
-        }
-      });
-    });
+
+    const { changes: updated } = await this.run(sql, [chatId, ...columns.map(column => changes[column])]);
+    return updated;
+  }
+
+  /**
+   * Retention window in days that applies to a chat: its own setting, capped by
+   * the operator's MAX_RETENTION_DAYS. Null means messages are kept until cleared.
+   */
+  getEffectiveRetentionDays(chatRetentionDays) {
+    const maxDays = parseInt(process.env.MAX_RETENTION_DAYS) || null;
+
+    if (!chatRetentionDays) {
+      return maxDays;
+    }
+
+    return maxDays ? Math.min(chatRetentionDays, maxDays) : chatRetentionDays;
   }
 
-  async createSchedule(chatId, scheduleType, intervalHours) {
+  async createSchedule(chatId, scheduleType, intervalHours, options = {}) {
+    // Channel digests are delivered to the chat the schedule was set from
+    const deliveryChatId = options.deliveryChatId && options.deliveryChatId !== chatId ? options.deliveryChatId : null;
+
     // First, delete any existing schedules for this chat
     await this.deleteSchedule(chatId);
     
     // Get user's timezone settings
-    const settings = await this.getChatSettings(chatId);
+    const settings = await this.getChatSettings(deliveryChatId || chatId);
     const userTimezone = settings.timezone || 'UTC';
     
     const nextRun = this.calculateNextScheduleTime(scheduleType, intervalHours, userTimezone);
     
     const sql = `
-      INSERT INTO schedules (chat_id, schedule_type, interval_hours, next_run, is_active)
-      VALUES (?, ?, ?, ?, 1)
+      INSERT INTO schedules (chat_id, schedule_type, interval_hours, next_run, delivery_chat_id, is_active)
+      VALUES (?, ?, ?, ?, ?, 1)
     `;
     
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, [chatId, scheduleType, intervalHours, nextRun], function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(this.lastID);
-        }
-      });
-    });
+    const { lastID } = await this.run(sql, [chatId, scheduleType, intervalHours, nextRun, deliveryChatId]);
+    return lastID;
   }
 
   calculateNextScheduleTime(scheduleType, intervalHours, timezone = 'UTC') {
@@ -372,44 +1152,21 @@ class Database {
     
     sql += ' ORDER BY next_run ASC';
     
-    return new Promise((resolve, reject) => {
-      this.db.all(sql, params, (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(rows);
-        }
-      });
-    });
+    return this.all(sql, params);
   }
 
   async getPendingSchedules() {
     const now = Math.floor(Date.now() / 1000);
     const sql = 'SELECT * FROM schedules WHERE is_active = 1 AND next_run <= ? ORDER BY next_run ASC';
     
-    return new Promise((resolve, reject) => {
-      this.db.all(sql, [now], (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(rows);
-        }
-      });
-    });
+    return this.all(sql, [now]);
   }
 
   async updateScheduleNextRun(scheduleId, nextRun) {
     const sql = 'UPDATE schedules SET next_run = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
     
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, [nextRun, scheduleId], function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(this.changes);
-        }
-      });
-    });
+    const { changes } = await this.run(sql, [nextRun, scheduleId]);
+    return changes;
   }
 
   async deleteSchedule(chatId, scheduleType = null) {
@@ -421,29 +1178,15 @@ class Database {
       params.push(scheduleType);
     }
     
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, params, function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(this.changes);
-        }
-      });
-    });
+    const { changes } = await this.run(sql, params);
+    return changes;
   }
 
   async deactivateSchedule(scheduleId) {
     const sql = 'UPDATE schedules SET is_active = 0 WHERE id = ?';
     
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, [scheduleId], function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(this.changes);
-        }
-      });
-    });
+    const { changes } = await this.run(sql, [scheduleId]);
+    return changes;
   }
 
   async incrementSummaryCount(chatId) {
@@ -457,30 +1200,16 @@ class Database {
         updated_at = CURRENT_TIMESTAMP
     `;
     
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, [chatId, today], function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(this.changes);
-        }
-      });
-    });
+    const { changes } = await this.run(sql, [chatId, today]);
+    return changes;
   }
 
   async getDailySummaryCount(chatId) {
     const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
     const sql = 'SELECT summary_count FROM summary_logs WHERE chat_id = ? AND summary_date = ?';
     
-    return new Promise((resolve, reject) => {
-      this.db.get(sql, [chatId, today], (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(row ? row.summary_count : 0);
-        }
-      });
-    });
+    const row = await this.get(sql, [chatId, today]);
+    return row ? row.summary_count : 0;
   }
 
   close() {
@@ -490,4 +1219,6 @@ class Database {
   }
 }
 
+Database.ENCRYPTED_COLUMNS = ENCRYPTED_COLUMNS;
+
 module.exports = Database;
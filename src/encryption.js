@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1:';
+
+/**
+ * Field-level encryption for personal data stored in SQLite (AES-256-GCM).
+ *
+ * Values are stored as "enc:v1:<key id>:<iv>:<auth tag>:<ciphertext>". The key id
+ * tells which key wrote a value, so after rotating ENCRYPTION_KEY the previous
+ * keys (ENCRYPTION_OLD_KEYS) can still decrypt rows that weren't re-encrypted yet.
+ */
+class Encryption {
+  constructor(options = {}) {
+    const key = options.key !== undefined ? options.key : process.env.ENCRYPTION_KEY;
+    const oldKeys = options.oldKeys !== undefined ? options.oldKeys : process.env.ENCRYPTION_OLD_KEYS;
+
+    this.currentKey = key ? this.parseKey(key, 'ENCRYPTION_KEY') : null;
+    this.keys = new Map();
+
+    for (const oldKey of (oldKeys || '').split(',').map(value => value.trim()).filter(Boolean)) {
+      const parsed = this.parseKey(oldKey, 'ENCRYPTION_OLD_KEYS');
+      this.keys.set(parsed.id, parsed.buffer);
+    }
+
+    if (this.currentKey) {
+      this.keys.set(this.currentKey.id, this.currentKey.buffer);
+    }
+  }
+
+  get enabled() {
+    return this.currentKey !== null;
+  }
+
+  parseKey(value, name) {
+    // 32 random bytes, as base64 or hex: openssl rand -base64 32
+    const buffer = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+
+    if (buffer.length !== 32) {
+      throw new Error(`${name} must be 32 bytes encoded as base64 or hex (generate one with: openssl rand -base64 32)`);
+    }
+
+    const id = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 8);
+    return { id, buffer };
+  }
+
+  static isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+  }
+
+  getKeyId(value) {
+    return Encryption.isEncrypted(value) ? value.slice(PREFIX.length).split(':')[0] : null;
+  }
+
+  encrypt(value) {
+    if (!this.enabled || value === null || value === undefined || Encryption.isEncrypted(value)) {
+      return value;
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.currentKey.buffer, iv);
+    const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return `${PREFIX}${this.currentKey.id}:${iv.toString('base64')}:${tag.toString('base64')}:${ciphertext.toString('base64')}`;
+  }
+
+  /**
+   * Returns plaintext for encrypted values and passes everything else through,
+   * so rows written before encryption was enabled keep working.
+   */
+  decrypt(value) {
+    if (!Encryption.isEncrypted(value)) {
+      return value;
+    }
+
+    const [keyId, iv, tag, ciphertext] = value.slice(PREFIX.length).split(':');
+    const key = this.keys.get(keyId);
+
+    if (!key) {
+      throw new Error(`No encryption key with id ${keyId} is configured (set ENCRYPTION_KEY or add it to ENCRYPTION_OLD_KEYS)`);
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Whether a stored value should be rewritten to match the current setup:
+   * plaintext while encryption is on, or encrypted under an older key.
+   */
+  needsRewrite(value) {
+    if (value === null || value === undefined) {
+      return false;
+    }
+
+    if (!Encryption.isEncrypted(value)) {
+      return this.enabled;
+    }
+
+    return !this.enabled || this.getKeyId(value) !== this.currentKey.id;
+  }
+}
+
+Encryption.PREFIX = PREFIX;
+
+module.exports = Encryption;
@@ -0,0 +1,114 @@
+const logger = require('./logger');
+
+// Times a batch is retried after its transaction failed before its messages are dropped
+const MAX_WRITE_ATTEMPTS = 3;
+
+class MessageBuffer {
+  constructor(database, options = {}) {
+    this.db = database;
+    this.batchSize = options.batchSize || parseInt(process.env.MESSAGE_BATCH_SIZE) || 50;
+    this.flushIntervalMs = options.flushIntervalMs || parseInt(process.env.MESSAGE_FLUSH_INTERVAL_MS) || 1000;
+    this.queue = [];
+    this.intervalId = null;
+    this.flushPromise = null;
+    this.counters = {
+      queued: 0,
+      flushed: 0,
+      failed: 0
+    };
+  }
+
+  start() {
+    if (this.intervalId) {
+      return;
+    }
+
+    this.intervalId = setInterval(() => {
+      this.flush().catch(error => logger.error('Error flushing message buffer:', error));
+    }, this.flushIntervalMs);
+
+    logger.info(`Message buffer started (batch size ${this.batchSize}, flush every ${this.flushIntervalMs}ms)`);
+  }
+
+  async stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    // Write out whatever is still queued before the database is closed; a failed batch is
+    // requeued, so flush again until the queue is empty or the batch ran out of attempts
+    const failedBefore = this.counters.failed;
+    do {
+      await this.flush();
+    } while (this.queue.length > 0);
+
+    const dropped = this.counters.failed - failedBefore;
+    if (dropped > 0) {
+      logger.warn(`Dropped ${dropped} buffered message(s) that could not be written before shutdown`);
+    }
+    logger.info(`Message buffer stopped (${this.formatStats()})`);
+  }
+
+  /**
+   * Queues a message (plus its poll and links, if any) for the next batch.
+   * Returns immediately; the entry is written by a later flush.
+   */
+  add(entry) {
+    this.queue.push(entry);
+    this.counters.queued++;
+
+    if (this.queue.length >= this.batchSize) {
+      this.flush().catch(error => logger.error('Error flushing message buffer:', error));
+    }
+  }
+
+  async flush() {
+    // Only one transaction at a time; later callers wait for the running flush and then drain the rest
+    while (this.flushPromise) {
+      await this.flushPromise;
+    }
+
+    if (this.queue.length === 0) {
+      return;
+    }
+
+    const batch = this.queue.splice(0, this.queue.length);
+    this.flushPromise = this.writeBatch(batch);
+
+    try {
+      await this.flushPromise;
+    } finally {
+      this.flushPromise = null;
+    }
+  }
+
+  async writeBatch(batch) {
+    try {
+      const { saved, failed } = await this.db.saveMessageBatch(batch);
+      this.counters.flushed += saved;
+      this.counters.failed += failed;
+      logger.debug(`Flushed ${batch.length} buffered messages (${this.formatStats()})`);
+    } catch (error) {
+      // Nothing from the batch was written; put it back in front of newer messages and retry on the next flush
+      const retry = batch.filter(entry => (entry.attempts = (entry.attempts || 0) + 1) < MAX_WRITE_ATTEMPTS);
+      this.queue.unshift(...retry);
+      this.counters.failed += batch.length - retry.length;
+      logger.error(`Error writing batch of ${batch.length} messages (${retry.length} requeued):`, error);
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.counters,
+      pending: this.queue.length
+    };
+  }
+
+  formatStats() {
+    const { queued, flushed, failed, pending } = this.getStats();
+    return `queued=${queued}, flushed=${flushed}, failed=${failed}, pending=${pending}`;
+  }
+}
+
+module.exports = MessageBuffer;
@@ -1,13 +1,19 @@
 const logger = require('./logger');
 
+// Media types whose only textual content is an optional caption
+const CAPTIONED_TYPES = ['photo', 'video', 'animation', 'audio', 'voice', 'video_note', 'document'];
+
 class MessageHandler {
-  constructor(database) {
+  constructor(database, messageBuffer) {
     this.db = database;
+    this.buffer = messageBuffer;
   }
 
   async handleMessage(msg) {
-    // Skip if message doesn't have text or is a command
-    if (!msg.text || msg.text.startsWith('/')) {
+    const content = this.extractContent(msg);
+
+    // Skip service messages and commands
+    if (!content || this.isCommand(msg)) {
       return;
     }
 
@@ -17,24 +23,236 @@ class MessageHandler {
       return;
     }
 
-    const messageData = {
+    const messageData = this.buildMessageData(msg, content);
+
+    try {
+      // Written in batches by the buffer instead of one INSERT per message; the batch
+      // INSERT skips users who opted out
+      this.buffer.add({
+        message: messageData,
+        pollId: msg.poll ? msg.poll.id : null,
+        links: this.buildLinks(msg, messageData)
+      });
+
+      logger.debug(`Queued ${content.type} message from chat ${msg.chat.id}`);
+    } catch (error) {
+      logger.error('Error saving message:', error);
+    }
+  }
+
+  async handleEditedMessage(msg) {
+    const content = this.extractContent(msg);
+
+    if (!content || this.isCommand(msg)) {
+      return;
+    }
+
+    // The original may be older than a day, so judge freshness by the edit itself
+    const editDate = msg.edit_date || Math.floor(Date.now() / 1000);
+    const editAge = Date.now() / 1000 - editDate;
+    if (editAge > 86400) { // 24 hours
+      return;
+    }
+
+    const messageData = this.buildMessageData(msg, content);
+
+    try {
+      if (await this.isOptedOut(msg)) {
+        return;
+      }
+
+      // The original may still be queued; write it first so the edit becomes a proper revision
+      await this.buffer.flush();
+
+      const updated = await this.db.saveMessageEdit(messageData, editDate);
+
+      // Links added in the edit are registered too; links removed by it are kept
+      const links = this.buildLinks(msg, messageData);
+      if (links.length > 0) {
+        await this.db.saveLinks(links);
+      }
+      if (updated) {
+        logger.debug(`Saved edit of message ${msg.message_id} in chat ${msg.chat.id}`);
+      }
+    } catch (error) {
+      logger.error('Error saving edited message:', error);
+    }
+  }
+
+  async handlePollUpdate(poll) {
+    try {
+      const changes = await this.db.updatePollText(poll.id, this.formatPoll(poll));
+      if (changes > 0) {
+        logger.debug(`Updated results of poll ${poll.id}`);
+      }
+    } catch (error) {
+      logger.error('Error updating poll results:', error);
+    }
+  }
+
+  isCommand(msg) {
+    // Commands can also arrive as a caption, e.g. a document sent with "/import"
+    return (msg.text || msg.caption || '').startsWith('/');
+  }
+
+  async isOptedOut(msg) {
+    if (!msg.from) {
+      return false;
+    }
+    return this.db.isUserOptedOut(msg.chat.id, msg.from.id);
+  }
+
+  buildLinks(msg, messageData) {
+    return this.extractLinks(msg).map(link => ({
+      ...link,
+      chat_id: messageData.chat_id,
+      message_id: messageData.message_id,
+      message_thread_id: messageData.message_thread_id,
+      user_id: messageData.user_id,
+      username: messageData.username,
+      first_name: messageData.first_name,
+      timestamp: messageData.timestamp
+    }));
+  }
+
+  extractLinks(msg) {
+    const text = msg.text || msg.caption || '';
+    const entities = msg.entities || msg.caption_entities || [];
+    const links = [];
+
+    for (const entity of entities) {
+      let url = null;
+
+      if (entity.type === 'url') {
+        // Entity offsets are in UTF-16 code units, which is what String#substr uses
+        url = text.substr(entity.offset, entity.length);
+      } else if (entity.type === 'text_link') {
+        url = entity.url;
+      }
+
+      if (!url) {
+        continue;
+      }
+
+      if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(url)) {
+        url = `https://${url}`;
+      }
+
+      const domain = this.getDomain(url);
+      if (domain && !links.some(link => link.url === url)) {
+        links.push({ url, domain });
+      }
+    }
+
+    return links;
+  }
+
+  getDomain(url) {
+    try {
+      return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  buildMessageData(msg, content) {
+    return {
       message_id: msg.message_id,
       chat_id: msg.chat.id,
+      ...this.getAuthor(msg),
+      text: content.text,
+      timestamp: msg.date,
+      message_type: content.type,
+      reply_to_message_id: this.getReplyToMessageId(msg),
+      // Outside forums Telegram also sets message_thread_id for reply chains, so only keep real topics
+      message_thread_id: msg.is_topic_message ? msg.message_thread_id : null
+    };
+  }
+
+  getAuthor(msg) {
+    // Channel posts and anonymous admins speak as a chat; the signature (if enabled) names the actual author
+    if (msg.sender_chat) {
+      return {
+        user_id: null,
+        username: null,
+        first_name: msg.author_signature || msg.sender_chat.title,
+        last_name: null
+      };
+    }
+
+    return {
       user_id: msg.from?.id,
       username: msg.from?.username,
       first_name: msg.from?.first_name,
-      last_name: msg.from?.last_name,
-      text: msg.text,
-      timestamp: msg.date,
-      message_type: 'text'
+      last_name: msg.from?.last_name
     };
+  }
 
-    try {
-      await this.db.saveMessage(messageData);
-      logger.debug(`Saved message from chat ${msg.chat.id}`);
-    } catch (error) {
-      logger.error('Error saving message:', error);
+  getReplyToMessageId(msg) {
+    const reply = msg.reply_to_message;
+    if (!reply) {
+      return null;
     }
+
+    // Every message in a forum topic "replies" to the topic creation message; that's not a real reply
+    if (reply.forum_topic_created) {
+      return null;
+    }
+
+    return reply.message_id;
+  }
+
+  /**
+   * Returns the message type and a plain-text representation of its content,
+   * or null for updates with nothing worth storing (joins, pins, etc.).
+   */
+  extractContent(msg) {
+    if (msg.text) {
+      return { type: 'text', text: msg.text };
+    }
+
+    if (msg.poll) {
+      return { type: 'poll', text: this.formatPoll(msg.poll) };
+    }
+
+    if (msg.sticker) {
+      return { type: 'sticker', text: msg.sticker.emoji || '' };
+    }
+
+    if (msg.venue) {
+      const { title, address } = msg.venue;
+      return { type: 'venue', text: [title, address].filter(Boolean).join(', ') };
+    }
+
+    if (msg.location) {
+      return { type: 'location', text: `${msg.location.latitude}, ${msg.location.longitude}` };
+    }
+
+    if (msg.contact) {
+      // Only the name is kept; phone numbers are personal data we don't need for summaries
+      const { first_name, last_name } = msg.contact;
+      return { type: 'contact', text: [first_name, last_name].filter(Boolean).join(' ') };
+    }
+
+    if (msg.dice) {
+      return { type: 'dice', text: `${msg.dice.emoji} ${msg.dice.value}` };
+    }
+
+    const mediaType = CAPTIONED_TYPES.find(type => msg[type]);
+    if (mediaType) {
+      const fileName = mediaType === 'document' ? msg.document.file_name : null;
+      return { type: mediaType, text: [fileName, msg.caption].filter(Boolean).join(': ') };
+    }
+
+    return null;
+  }
+
+  formatPoll(poll) {
+    const options = poll.options
+      .map(option => `${option.text} (${option.voter_count})`)
+      .join(', ');
+
+    return `${poll.question} — ${options}`;
   }
 }
 
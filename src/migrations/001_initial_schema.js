@@ -0,0 +1,71 @@
+module.exports = {
+  description: 'Create messages, chat settings, schedules and summary log tables',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        message_id INTEGER NOT NULL,
+        chat_id INTEGER NOT NULL,
+        user_id INTEGER,
+        username TEXT,
+        first_name TEXT,
+        last_name TEXT,
+        text TEXT,
+        timestamp INTEGER NOT NULL,
+        message_type TEXT DEFAULT 'text',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS chat_settings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id INTEGER NOT NULL UNIQUE,
+        language TEXT DEFAULT 'en',
+        summary_length INTEGER DEFAULT 1500,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS schedules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id INTEGER NOT NULL,
+        schedule_type TEXT NOT NULL,
+        interval_hours INTEGER NOT NULL,
+        next_run INTEGER NOT NULL,
+        is_active BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS summary_logs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id INTEGER NOT NULL,
+        summary_date DATE NOT NULL,
+        summary_count INTEGER DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(chat_id, summary_date)
+      )
+    `);
+
+    const indexes = [
+      'CREATE INDEX IF NOT EXISTS idx_chat_timestamp ON messages(chat_id, timestamp)',
+      'CREATE INDEX IF NOT EXISTS idx_chat_id ON messages(chat_id)',
+      'CREATE INDEX IF NOT EXISTS idx_timestamp ON messages(timestamp)',
+      'CREATE INDEX IF NOT EXISTS idx_chat_settings_chat_id ON chat_settings(chat_id)',
+      'CREATE INDEX IF NOT EXISTS idx_schedules_chat_id ON schedules(chat_id)',
+      'CREATE INDEX IF NOT EXISTS idx_schedules_next_run ON schedules(next_run, is_active)',
+      'CREATE INDEX IF NOT EXISTS idx_summary_logs_chat_date ON summary_logs(chat_id, summary_date)'
+    ];
+
+    for (const sql of indexes) {
+      await db.run(sql);
+    }
+  }
+};
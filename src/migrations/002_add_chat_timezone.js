@@ -0,0 +1,9 @@
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+  description: 'Add timezone to chat settings',
+
+  async up(db) {
+    await addColumnIfMissing(db, 'chat_settings', 'timezone', "TEXT DEFAULT 'UTC'");
+  }
+};
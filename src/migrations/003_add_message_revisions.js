@@ -0,0 +1,18 @@
+module.exports = {
+  description: 'Keep the revision history of edited messages',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS message_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id INTEGER NOT NULL,
+        message_id INTEGER NOT NULL,
+        text TEXT,
+        edit_date INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_message_revisions_message ON message_revisions(chat_id, message_id, edit_date)');
+  }
+};
@@ -0,0 +1,16 @@
+module.exports = {
+  description: 'Map poll ids to their messages so results can be updated',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS polls (
+        poll_id TEXT PRIMARY KEY,
+        chat_id INTEGER NOT NULL,
+        message_id INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_polls_chat_message ON polls(chat_id, message_id)');
+  }
+};
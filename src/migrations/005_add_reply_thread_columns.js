@@ -0,0 +1,12 @@
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+  description: 'Add reply and forum topic ids to messages',
+
+  async up(db) {
+    await addColumnIfMissing(db, 'messages', 'reply_to_message_id', 'INTEGER');
+    await addColumnIfMissing(db, 'messages', 'message_thread_id', 'INTEGER');
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_chat_thread_timestamp ON messages(chat_id, message_thread_id, timestamp)');
+  }
+};
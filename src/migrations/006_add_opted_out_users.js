@@ -0,0 +1,16 @@
+module.exports = {
+  description: 'Track users who opted out of message collection',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS opted_out_users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        display_name TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(chat_id, user_id)
+      )
+    `);
+  }
+};
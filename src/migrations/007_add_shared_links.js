@@ -0,0 +1,24 @@
+module.exports = {
+  description: 'Registry of links shared in chats',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS shared_links (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id INTEGER NOT NULL,
+        message_id INTEGER NOT NULL,
+        message_thread_id INTEGER,
+        user_id INTEGER,
+        username TEXT,
+        first_name TEXT,
+        url TEXT NOT NULL,
+        domain TEXT,
+        timestamp INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(chat_id, message_id, url)
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_shared_links_chat_timestamp ON shared_links(chat_id, timestamp)');
+  }
+};
@@ -0,0 +1,20 @@
+const logger = require('../logger');
+
+module.exports = {
+  description: 'Make (chat_id, message_id) unique so replayed updates are ignored',
+
+  async up(db) {
+    // Older databases may already contain rows replayed after a polling restart;
+    // keep the first copy of each message so the unique index can be created.
+    const { changes } = await db.run(`
+      DELETE FROM messages
+      WHERE id NOT IN (SELECT MIN(id) FROM messages GROUP BY chat_id, message_id)
+    `);
+
+    if (changes > 0) {
+      logger.info(`Removed ${changes} duplicate message rows`);
+    }
+
+    await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_chat_message ON messages(chat_id, message_id)');
+  }
+};
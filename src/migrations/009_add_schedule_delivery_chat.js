@@ -0,0 +1,9 @@
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+  description: 'Let channel digests be delivered to another chat',
+
+  async up(db) {
+    await addColumnIfMissing(db, 'schedules', 'delivery_chat_id', 'INTEGER');
+  }
+};
@@ -0,0 +1,10 @@
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+  description: 'Add a per-chat message retention window',
+
+  async up(db) {
+    // NULL keeps messages until /clear (or the operator's MAX_RETENTION_DAYS)
+    await addColumnIfMissing(db, 'chat_settings', 'retention_days', 'INTEGER');
+  }
+};
@@ -0,0 +1,38 @@
+module.exports = {
+  description: 'Full-text search index over message text',
+
+  async up(db) {
+    // External content table: the index stores only tokens, the text stays in messages
+    await db.run(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+        text,
+        content = 'messages',
+        content_rowid = 'id',
+        tokenize = 'unicode61 remove_diacritics 2'
+      )
+    `);
+
+    // Keep the index in sync with every write path (batches, edits, purges, /clear, opt-outs)
+    await db.run(`
+      CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+        INSERT INTO messages_fts (rowid, text) VALUES (new.id, new.text);
+      END
+    `);
+
+    await db.run(`
+      CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+        INSERT INTO messages_fts (messages_fts, rowid, text) VALUES ('delete', old.id, old.text);
+      END
+    `);
+
+    await db.run(`
+      CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF text ON messages BEGIN
+        INSERT INTO messages_fts (messages_fts, rowid, text) VALUES ('delete', old.id, old.text);
+        INSERT INTO messages_fts (rowid, text) VALUES (new.id, new.text);
+      END
+    `);
+
+    // Index the history stored before search existed
+    await db.run("INSERT INTO messages_fts (messages_fts) VALUES ('rebuild')");
+  }
+};
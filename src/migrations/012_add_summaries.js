@@ -0,0 +1,26 @@
+module.exports = {
+  description: 'Store generated summaries for /history',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS summaries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id INTEGER NOT NULL,
+        message_thread_id INTEGER,
+        period_start INTEGER NOT NULL,
+        period_end INTEGER NOT NULL,
+        period_description TEXT,
+        language TEXT,
+        summary_length INTEGER,
+        model TEXT,
+        message_count INTEGER NOT NULL,
+        text TEXT NOT NULL,
+        source TEXT DEFAULT 'command',
+        requested_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_summaries_chat_created ON summaries(chat_id, created_at)');
+  }
+};
@@ -0,0 +1,35 @@
+module.exports = {
+  description: 'Keep encrypted message text out of the search index',
+
+  async up(db) {
+    // Ciphertext is useless to FTS and must not be tokenized; encrypted chats are searched by scanning instead.
+    // Each delete mirrors its insert, so the external-content index stays consistent as rows get (de)crypted.
+    await db.run('DROP TRIGGER IF EXISTS messages_fts_insert');
+    await db.run('DROP TRIGGER IF EXISTS messages_fts_delete');
+    await db.run('DROP TRIGGER IF EXISTS messages_fts_update');
+
+    await db.run(`
+      CREATE TRIGGER messages_fts_insert AFTER INSERT ON messages
+      WHEN new.text NOT LIKE 'enc:%' BEGIN
+        INSERT INTO messages_fts (rowid, text) VALUES (new.id, new.text);
+      END
+    `);
+
+    await db.run(`
+      CREATE TRIGGER messages_fts_delete AFTER DELETE ON messages
+      WHEN old.text NOT LIKE 'enc:%' BEGIN
+        INSERT INTO messages_fts (messages_fts, rowid, text) VALUES ('delete', old.id, old.text);
+      END
+    `);
+
+    // One trigger, so the old tokens are always removed before the new ones are added
+    await db.run(`
+      CREATE TRIGGER messages_fts_update AFTER UPDATE OF text ON messages BEGIN
+        INSERT INTO messages_fts (messages_fts, rowid, text)
+          SELECT 'delete', old.id, old.text WHERE old.text NOT LIKE 'enc:%';
+        INSERT INTO messages_fts (rowid, text)
+          SELECT new.id, new.text WHERE new.text NOT LIKE 'enc:%';
+      END
+    `);
+  }
+};
@@ -0,0 +1,10 @@
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+  description: 'Add the per-chat AI model choice to chat settings',
+
+  async up(db) {
+    // NULL means the provider's default model
+    await addColumnIfMissing(db, 'chat_settings', 'model', 'TEXT');
+  }
+};
@@ -0,0 +1,22 @@
+module.exports = {
+  description: 'Cache chunk summaries so long summaries can reuse them',
+
+  async up(db) {
+    // content_hash covers the chunk's messages as sent to the model, so any change to them misses the cache
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS summary_chunks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id INTEGER NOT NULL,
+        first_message_id INTEGER NOT NULL,
+        last_message_id INTEGER NOT NULL,
+        overlap INTEGER NOT NULL DEFAULT 0,
+        content_hash TEXT NOT NULL,
+        language TEXT NOT NULL,
+        model TEXT NOT NULL,
+        text TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(chat_id, first_message_id, last_message_id, content_hash, language, model)
+      )
+    `);
+  }
+};
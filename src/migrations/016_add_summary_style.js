@@ -0,0 +1,9 @@
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+  description: 'Add the default summary style to chat settings',
+
+  async up(db) {
+    await addColumnIfMissing(db, 'chat_settings', 'summary_style', "TEXT DEFAULT 'detailed'");
+  }
+};
@@ -0,0 +1,10 @@
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+  description: 'Add admin-defined summary instructions to chat settings',
+
+  async up(db) {
+    // NULL means no extra instructions
+    await addColumnIfMissing(db, 'chat_settings', 'custom_prompt', 'TEXT');
+  }
+};
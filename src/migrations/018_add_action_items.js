@@ -0,0 +1,25 @@
+module.exports = {
+  description: 'Track action items extracted from conversations',
+
+  async up(db) {
+    // item_number is per chat, so "/todo done 3" refers to the number shown in that chat's list
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS action_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id INTEGER NOT NULL,
+        item_number INTEGER NOT NULL,
+        task TEXT NOT NULL,
+        owner TEXT,
+        due_date TEXT,
+        source_message_id INTEGER,
+        status TEXT NOT NULL DEFAULT 'open',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        done_at DATETIME,
+        done_by INTEGER,
+        UNIQUE(chat_id, item_number)
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_action_items_chat_status ON action_items(chat_id, status)');
+  }
+};
@@ -0,0 +1,10 @@
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+  description: 'Record whose contributions a summary covers',
+
+  async up(db) {
+    // Comma-separated names such as "@alex, @bea"; NULL for summaries of the whole conversation
+    await addColumnIfMissing(db, 'summaries', 'participants', 'TEXT');
+  }
+};
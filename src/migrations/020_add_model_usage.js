@@ -0,0 +1,18 @@
+module.exports = {
+  description: 'Log AI requests other than summaries so they count toward model caps',
+
+  async up(db) {
+    // Summaries are counted from the summaries table; /ask and /todo requests are logged here
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS model_usage (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id INTEGER NOT NULL,
+        model TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_model_usage_model_created ON model_usage(model, created_at)');
+  }
+};
@@ -0,0 +1,9 @@
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+  description: 'Mark summaries served from the cache, which model caps don\'t count',
+
+  async up(db) {
+    await addColumnIfMissing(db, 'summaries', 'cached', 'INTEGER NOT NULL DEFAULT 0');
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * Adds a column unless it already exists. Databases created before versioning
+ * may already have some of the columns that later migrations add.
+ */
+async function addColumnIfMissing(db, table, column, definition) {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+
+  if (columns.some(col => col.name === column)) {
+    return false;
+  }
+
+  await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+module.exports = { addColumnIfMissing };
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Migration files are named NNN_description.js; the number is the schema version
+const MIGRATION_FILE_PATTERN = /^(\d+)_(\w+)\.js$/;
+
+/**
+ * Applies the numbered migrations in src/migrations and records each applied
+ * version in the schema_version table. Every migration runs in its own
+ * transaction, so a failure leaves the database at the last good version.
+ */
+class Migrator {
+  constructor(database) {
+    this.db = database;
+  }
+
+  loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+      .map(file => MIGRATION_FILE_PATTERN.exec(file))
+      .filter(Boolean)
+      .map(([file, version, name]) => ({
+        version: parseInt(version),
+        name,
+        ...require(path.join(MIGRATIONS_DIR, file))
+      }))
+      .sort((a, b) => a.version - b.version);
+  }
+
+  getLatestVersion() {
+    const migrations = this.loadMigrations();
+    return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  }
+
+  async ensureVersionTable() {
+    await this.db.run(`
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  async getAppliedVersions() {
+    // Read-only callers (status, dry run) must not create the table themselves
+    const table = await this.db.get(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'"
+    );
+
+    if (!table) {
+      return [];
+    }
+
+    return this.db.all('SELECT version, name, applied_at FROM schema_version ORDER BY version');
+  }
+
+  async getCurrentVersion() {
+    const applied = await this.getAppliedVersions();
+    return applied.length > 0 ? applied[applied.length - 1].version : 0;
+  }
+
+  /**
+   * Every known migration with its state, plus the versions recorded in the
+   * database that this build doesn't know about (i.e. written by a newer build).
+   */
+  async getStatus() {
+    const applied = await this.getAppliedVersions();
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+    const migrations = this.loadMigrations();
+    const known = new Set(migrations.map(migration => migration.version));
+
+    return {
+      currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+      latestVersion: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+      migrations: migrations.map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        description: migration.description,
+        appliedAt: appliedByVersion.get(migration.version)?.applied_at || null
+      })),
+      unknown: applied.filter(row => !known.has(row.version))
+    };
+  }
+
+  /**
+   * Applies pending migrations in order. With dryRun nothing is written and the
+   * migrations that would run are returned instead.
+   */
+  async migrate(options = {}) {
+    const { dryRun = false } = options;
+    const status = await this.getStatus();
+
+    if (status.unknown.length > 0) {
+      throw new Error(
+        `Database schema version ${status.currentVersion} is newer than this build supports (${status.latestVersion}); ` +
+        'upgrade the bot instead of running an older version against this database'
+      );
+    }
+
+    const migrations = this.loadMigrations();
+    const pending = migrations.filter(migration =>
+      !status.migrations.find(entry => entry.version === migration.version).appliedAt
+    );
+
+    if (dryRun || pending.length === 0) {
+      return pending;
+    }
+
+    await this.ensureVersionTable();
+
+    for (const migration of pending) {
+      await this.apply(migration);
+    }
+
+    logger.info(`Database schema migrated to version ${pending[pending.length - 1].version}`);
+    return pending;
+  }
+
+  async apply(migration) {
+    logger.info(`Applying migration ${migration.version}_${migration.name}: ${migration.description}`);
+
+    try {
+      await this.db.transaction(async () => {
+        await migration.up(this.db);
+        await this.db.run(
+          'INSERT INTO schema_version (version, name) VALUES (?, ?)',
+          [migration.version, migration.name]
+        );
+      });
+    } catch (error) {
+      logger.error(`Migration ${migration.version}_${migration.name} failed:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = Migrator;
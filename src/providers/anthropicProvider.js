@@ -0,0 +1,66 @@
+const LLMProvider = require('./llmProvider');
+
+const API_VERSION = '2023-06-01';
+
+/**
+ * Anthropic Messages API, called over HTTPS directly to avoid another SDK.
+ * Errors carry status and headers like the OpenAI SDK's, so callers can
+ * treat both providers the same way.
+ */
+class AnthropicProvider extends LLMProvider {
+  constructor(options = {}) {
+    super('anthropic', options);
+
+    if (!options.apiKey) {
+      throw new Error('ANTHROPIC_API_KEY is required for the anthropic provider');
+    }
+
+    this.apiKey = options.apiKey;
+    this.baseURL = (options.baseURL || 'https://api.anthropic.com').replace(/\/+$/, '');
+  }
+
+  async complete({ system, prompt, model, maxTokens, temperature = 0.3 }) {
+    let response;
+    try {
+      response = await fetch(`${this.baseURL}/v1/messages`, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'x-api-key': this.apiKey,
+          'anthropic-version': API_VERSION
+        },
+        body: JSON.stringify({
+          model: model || this.model,
+          system,
+          messages: [{ role: 'user', content: prompt }],
+          max_tokens: this.getMaxTokens(maxTokens),
+          temperature
+        }),
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new Error(`Anthropic request timeout after ${this.timeoutMs}ms`);
+      }
+      throw error;
+    }
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const reason = response.status === 429 ? 'rate limit exceeded' : (body.error && body.error.message) || response.statusText;
+      const error = new Error(`Anthropic API error ${response.status}: ${reason}`);
+      error.status = response.status;
+      error.headers = Object.fromEntries(response.headers.entries());
+      throw error;
+    }
+
+    return (body.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('')
+      .trim();
+  }
+}
+
+module.exports = AnthropicProvider;
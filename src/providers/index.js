@@ -0,0 +1,72 @@
+const OpenAIProvider = require('./openaiProvider');
+const AnthropicProvider = require('./anthropicProvider');
+
+const PROVIDERS = ['openai', 'openai-compatible', 'anthropic'];
+
+function readInt(env, name, fallback) {
+  return parseInt(env[name]) || fallback;
+}
+
+/**
+ * Builds the provider selected by AI_PROVIDER (default: openai). Every provider
+ * reads its own <PREFIX>_MODEL, <PREFIX>_TIMEOUT_MS and <PREFIX>_MAX_TOKENS.
+ */
+function createProvider(env = process.env) {
+  const name = (env.AI_PROVIDER || 'openai').toLowerCase();
+
+  switch (name) {
+    case 'openai':
+      return new OpenAIProvider({
+        apiKey: env.OPENAI_API_KEY,
+        model: env.OPENAI_MODEL || 'gpt-3.5-turbo',
+        timeoutMs: readInt(env, 'OPENAI_TIMEOUT_MS', 60000),
+        maxTokens: readInt(env, 'OPENAI_MAX_TOKENS', 3000)
+      });
+
+    case 'openai-compatible':
+      if (!env.OPENAI_COMPATIBLE_BASE_URL) {
+        throw new Error('OPENAI_COMPATIBLE_BASE_URL is required for the openai-compatible provider');
+      }
+      return new OpenAIProvider({
+        name,
+        baseURL: env.OPENAI_COMPATIBLE_BASE_URL,
+        // Local servers usually ignore the key, but the client insists on one
+        apiKey: env.OPENAI_COMPATIBLE_API_KEY || 'not-needed',
+        model: env.OPENAI_COMPATIBLE_MODEL,
+        // Self-hosted models are often much slower than hosted APIs
+        timeoutMs: readInt(env, 'OPENAI_COMPATIBLE_TIMEOUT_MS', 300000),
+        maxTokens: readInt(env, 'OPENAI_COMPATIBLE_MAX_TOKENS', 2000)
+      });
+
+    case 'anthropic':
+      return new AnthropicProvider({
+        apiKey: env.ANTHROPIC_API_KEY,
+        baseURL: env.ANTHROPIC_BASE_URL,
+        model: env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+        timeoutMs: readInt(env, 'ANTHROPIC_TIMEOUT_MS', 60000),
+        maxTokens: readInt(env, 'ANTHROPIC_MAX_TOKENS', 3000)
+      });
+
+    default:
+      throw new Error(`Unknown AI_PROVIDER "${env.AI_PROVIDER}" (expected one of: ${PROVIDERS.join(', ')})`);
+  }
+}
+
+/**
+ * Models chats may pick with /model, from AI_MODELS: "gpt-4o-mini,gpt-4o=20"
+ * allows both and caps gpt-4o at 20 summaries a day across all chats. "=" is
+ * the separator because Ollama model names contain colons (llama3.1:8b).
+ * The provider's default model is always allowed. Returns model -> cap (or null).
+ */
+function getAllowedModels(defaultModel, env = process.env) {
+  const models = new Map([[defaultModel, null]]);
+
+  for (const entry of (env.AI_MODELS || '').split(',').map(value => value.trim()).filter(Boolean)) {
+    const [model, cap] = entry.split('=').map(value => value.trim());
+    models.set(model, parseInt(cap) > 0 ? parseInt(cap) : null);
+  }
+
+  return models;
+}
+
+module.exports = { createProvider, getAllowedModels, PROVIDERS };
@@ -0,0 +1,35 @@
+/**
+ * Base class for the language model backends used by SummaryService.
+ * Subclasses implement complete(); model, timeout and token cap are per provider.
+ */
+class LLMProvider {
+  constructor(name, options = {}) {
+    if (!options.model) {
+      throw new Error(`No model configured for the ${name} provider`);
+    }
+
+    this.name = name;
+    this.model = options.model;
+    this.timeoutMs = options.timeoutMs;
+    this.maxTokens = options.maxTokens;
+  }
+
+  /**
+   * Sends one system + user prompt and resolves with the reply text.
+   * Options: system, prompt, model (defaults to the configured one), maxTokens
+   * (capped by the provider's limit), temperature.
+   */
+  async complete(options) {
+    throw new Error(`${this.name} provider does not implement complete()`);
+  }
+
+  getMaxTokens(requested) {
+    return Math.floor(Math.min(requested || this.maxTokens, this.maxTokens));
+  }
+
+  describe() {
+    return `${this.name} (${this.model})`;
+  }
+}
+
+module.exports = LLMProvider;
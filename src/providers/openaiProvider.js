@@ -0,0 +1,36 @@
+const OpenAI = require('openai');
+const LLMProvider = require('./llmProvider');
+
+/**
+ * OpenAI chat completions. With a baseURL it talks to any server implementing
+ * the same API: Ollama, llama.cpp server, vLLM and similar.
+ */
+class OpenAIProvider extends LLMProvider {
+  constructor(options = {}) {
+    super(options.name || 'openai', options);
+
+    this.client = new OpenAI({
+      apiKey: options.apiKey,
+      baseURL: options.baseURL,
+      timeout: this.timeoutMs,
+      // SummaryService retries with its own backoff
+      maxRetries: 0
+    });
+  }
+
+  async complete({ system, prompt, model, maxTokens, temperature = 0.3 }) {
+    const response = await this.client.chat.completions.create({
+      model: model || this.model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      max_tokens: this.getMaxTokens(maxTokens),
+      temperature
+    });
+
+    return (response.choices[0].message.content || '').trim();
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -1,13 +1,20 @@
 const logger = require('./logger');
 const moment = require('moment-timezone');
-const SummaryService = require('./summaryService');
+
+// Expired messages are purged hourly, so a retention window is exceeded by an hour at most
+const RETENTION_PURGE_INTERVAL = 60 * 60 * 1000;
+
+// Open action items appended to a scheduled summary; the rest are a /todo away
+const MAX_SCHEDULED_ACTION_ITEMS = 10;
 
 class Scheduler {
-  constructor(database, bot) {
+  constructor(database, bot, summaryService) {
     this.db = database;
     this.bot = bot;
-    this.summaryService = new SummaryService();
+    // Shared with the command handler, so scheduled summaries use the same provider, models and caps
+    this.summaryService = summaryService;
     this.intervalId = null;
+    this.purgeIntervalId = null;
     this.isRunning = false;
   }
 
@@ -24,8 +31,13 @@ class Scheduler {
       this.processPendingSchedules();
     }, 5 * 60 * 1000);
 
+    this.purgeIntervalId = setInterval(() => {
+      this.purgeExpiredMessages();
+    }, RETENTION_PURGE_INTERVAL);
+
     // Run immediately once
     this.processPendingSchedules();
+    this.purgeExpiredMessages();
   }
 
   stop() {
@@ -33,6 +45,10 @@ class Scheduler {
       clearInterval(this.intervalId);
       this.intervalId = null;
     }
+    if (this.purgeIntervalId) {
+      clearInterval(this.purgeIntervalId);
+      this.purgeIntervalId = null;
+    }
     this.isRunning = false;
     logger.info('Scheduler service stopped');
   }
@@ -55,17 +71,70 @@ class Scheduler {
     }
   }
 
+  async purgeExpiredMessages() {
+    try {
+      const { chats, deleted } = await this.db.purgeExpiredMessages();
+
+      if (deleted > 0) {
+        logger.info(`Retention purge deleted ${deleted} message(s) in ${chats} chat(s)`);
+      }
+    } catch (error) {
+      logger.error('Error purging expired messages:', error);
+    }
+  }
+
   async processSchedule(schedule) {
     const { id, chat_id, schedule_type, interval_hours } = schedule;
+    // Channel digests go to the group or private chat they were scheduled from
+    const deliveryChatId = schedule.delivery_chat_id || chat_id;
     
     try {
       logger.info(`Processing schedule ${id} for chat ${chat_id}, type: ${schedule_type}`);
 
+      const settings = await this.db.getChatSettings(deliveryChatId);
+
       // Generate summary based on schedule type
-      const period = this.getSchedulePeriod(schedule_type);
-      const summary = await this.summaryService.generateSummary(chat_id, period, this.db);
+      const end = Math.floor(Date.now() / 1000);
+      const start = end - this.getSchedulePeriodHours(schedule_type, interval_hours) * 3600;
+      const messages = await this.db.getMessages(chat_id, start, end);
+      const links = await this.db.getLinks(chat_id, start, end);
+
+      const selection = await this.summaryService.selectModel(settings.model, model => this.db.countModelUsageToday(model));
+      if (!selection) {
+        logger.warn(`Daily model caps reached, skipping scheduled summary for chat ${chat_id}`);
+      }
+
+      const stats = {};
+      const summary = messages.length > 0 && selection
+        ? await this.summaryService.generateSummary(messages, {
+          chatId: chat_id,
+          language: settings.language,
+          maxLength: settings.summary_length,
+          timezone: settings.timezone,
+          links,
+          model: selection.model,
+          style: settings.summary_style,
+          customPrompt: settings.custom_prompt,
+          stats
+        })
+        : null;
 
       if (summary && summary.trim()) {
+        // Kept with the summarized chat, not the one a channel digest is delivered to
+        await this.db.saveSummary({
+          chat_id,
+          period_start: start,
+          period_end: end,
+          period_description: this.describeSchedulePeriod(this.getSchedulePeriodHours(schedule_type, interval_hours)),
+          language: settings.language,
+          summary_length: settings.summary_length,
+          model: selection.model,
+          message_count: messages.length,
+          text: summary,
+          source: 'scheduled',
+          cached: stats.cached
+        });
+
         // Send the summary
         const scheduleEmojis = {
           'daily': '📅',
@@ -74,16 +143,18 @@ class Scheduler {
         };
 
         const emoji = scheduleEmojis[schedule_type] || '⏰';
-        const message = `${emoji} *Scheduled Summary - ${schedule_type.charAt(0).toUpperCase() + schedule_type.slice(1)}*\n\n${summary}`;
+        const sourceLine = deliveryChatId !== chat_id ? await this.getSourceLine(chat_id) : '';
+        const actionItems = await this.getActionItemsSection(chat_id);
+        const message = `${emoji} *Scheduled Summary - ${schedule_type.charAt(0).toUpperCase() + schedule_type.slice(1)}*${sourceLine}\n\n${summary}${actionItems}`;
         
-        await this.bot.sendMessage(chat_id, message);
-        logger.info(`Sent scheduled summary for chat ${chat_id}`);
+        await this.bot.sendMessage(deliveryChatId, message);
+        logger.info(`Sent scheduled summary for chat ${chat_id} to chat ${deliveryChatId}`);
       } else {
         logger.info(`No content to summarize for chat ${chat_id}, skipping scheduled summary`);
       }
 
       // Calculate next run time with timezone awareness
-      const nextRun = await this.calculateNextRunTime(chat_id, schedule_type, interval_hours);
+      const nextRun = await this.calculateNextRunTime(deliveryChatId, schedule_type, interval_hours);
       await this.db.updateScheduleNextRun(id, nextRun);
 
     } catch (error) {
@@ -119,16 +190,59 @@ class Scheduler {
     }
   }
 
-  getSchedulePeriod(scheduleType) {
+  async getSourceLine(chatId) {
+    try {
+      const chat = await this.bot.getChat(chatId);
+      return `\n📢 ${chat.title}`;
+    } catch (error) {
+      logger.warn(`Could not look up chat ${chatId} for scheduled summary: ${error.message}`);
+      return '';
+    }
+  }
+
+  async getActionItemsSection(chatId) {
+    try {
+      const items = await this.db.getActionItems(chatId);
+      if (items.length === 0) {
+        return '';
+      }
+
+      const lines = items.slice(0, MAX_SCHEDULED_ACTION_ITEMS).map(item => {
+        const owner = item.owner ? ` — ${/\s/.test(item.owner) ? item.owner : `@${item.owner}`}` : '';
+        const due = item.due_date ? ` 📅 ${item.due_date}` : '';
+        return `${item.item_number}. ${item.task}${owner}${due}`;
+      });
+      if (items.length > MAX_SCHEDULED_ACTION_ITEMS) {
+        lines.push(`…and ${items.length - MAX_SCHEDULED_ACTION_ITEMS} more (/todo list)`);
+      }
+
+      return `\n\n📌 Open action items:\n${lines.join('\n')}`;
+    } catch (error) {
+      logger.warn(`Could not load action items for chat ${chatId}: ${error.message}`);
+      return '';
+    }
+  }
+
+  describeSchedulePeriod(hours) {
+    // Same wording as CommandHandler.parseTimePeriod, so /history can translate it
+    if (hours % 168 === 0) {
+      return `Last ${hours / 168}w`;
+    }
+    if (hours > 24 && hours % 24 === 0) {
+      return `Last ${hours / 24}d`;
+    }
+    return `Last ${hours}h`;
+  }
+
+  getSchedulePeriodHours(scheduleType, intervalHours) {
     switch (scheduleType) {
       case 'daily':
-        return '24h';
-      case '3days':
-        return '3d';
+        return 24;
       case 'weekly':
-        return '1w';
+        return 168;
       default:
-        return '24h';
+        // Custom schedules (e.g. every 3 days) cover their own interval
+        return intervalHours || 24;
     }
   }
 }
@@ -0,0 +1,171 @@
+/**
+ * Named summary styles. "detailed" is the long, chronological summary built by
+ * SummaryService.buildPrompt; the other styles are described here, with their
+ * instructions written in each of the bot's interface languages. Chats in other
+ * languages get the English instructions and are still answered in their own
+ * language.
+ */
+
+const DEFAULT_STYLE = 'detailed';
+
+const STYLE_TEMPLATES = {
+  tldr: {
+    links: false,
+    en: {
+      role: 'You write very short TL;DR summaries of chat conversations.',
+      task: 'Write a TL;DR of the following chat conversation.',
+      rules: [
+        'At most three short lines, no headings',
+        'Only the outcome and the most important points, skip small talk',
+        'Mention people by name only when it matters who said something'
+      ],
+      chunk: 'Note only the most important points of this segment in two or three lines.'
+    },
+    es: {
+      role: 'Escribes resúmenes TL;DR muy breves de conversaciones de chat.',
+      task: 'Escribe un TL;DR de la siguiente conversación de chat.',
+      rules: [
+        'Como máximo tres líneas cortas, sin títulos',
+        'Solo el resultado y los puntos más importantes, omite la charla trivial',
+        'Menciona a las personas por su nombre solo cuando importe quién dijo algo'
+      ],
+      chunk: 'Anota solo los puntos más importantes de este segmento en dos o tres líneas.'
+    },
+    uk: {
+      role: 'Ви пишете дуже короткі TL;DR-підсумки чат-розмов.',
+      task: 'Напишіть TL;DR наступної чат-розмови.',
+      rules: [
+        'Не більше трьох коротких рядків, без заголовків',
+        'Лише результат і найважливіші моменти, без балачок',
+        'Називайте людей на ім\'я лише тоді, коли важливо, хто що сказав'
+      ],
+      chunk: 'Запишіть лише найважливіші моменти цього фрагмента у двох-трьох рядках.'
+    }
+  },
+
+  bullets: {
+    links: true,
+    en: {
+      role: 'You summarize chat conversations as concise bullet points.',
+      task: 'Summarize the following chat conversation as a bulleted list.',
+      rules: [
+        'One bullet per topic or piece of information, starting with "•"',
+        'Each bullet is one or two short sentences',
+        'Group related bullets under a short topic heading when there are several topics',
+        'Mention people by name where it helps'
+      ],
+      chunk: 'List the topics and key information of this segment as short bullet points.'
+    },
+    es: {
+      role: 'Resumes conversaciones de chat en viñetas concisas.',
+      task: 'Resume la siguiente conversación de chat como una lista de viñetas.',
+      rules: [
+        'Una viñeta por tema o dato, empezando por "•"',
+        'Cada viñeta tiene una o dos frases cortas',
+        'Agrupa las viñetas relacionadas bajo un título breve cuando haya varios temas',
+        'Menciona a las personas por su nombre cuando ayude'
+      ],
+      chunk: 'Enumera los temas y la información clave de este segmento en viñetas cortas.'
+    },
+    uk: {
+      role: 'Ви підсумовуєте чат-розмови стислими пунктами.',
+      task: 'Підсумуйте наступну чат-розмову у вигляді маркованого списку.',
+      rules: [
+        'Один пункт на тему чи факт, що починається з "•"',
+        'Кожен пункт — одне-два коротких речення',
+        'Якщо тем кілька, згрупуйте пов\'язані пункти під коротким заголовком',
+        'Називайте людей на ім\'я, де це допомагає'
+      ],
+      chunk: 'Перелічіть теми та ключову інформацію цього фрагмента короткими пунктами.'
+    }
+  },
+
+  decisions: {
+    links: false,
+    en: {
+      role: 'You extract the decisions made in chat conversations.',
+      task: 'List only the decisions made in the following chat conversation.',
+      rules: [
+        'One line per decision: what was decided, who decided or agreed, and when (HH:MM)',
+        'Include agreed plans and commitments, leave out open discussion',
+        'If nothing was decided, say so in one sentence'
+      ],
+      chunk: 'List the decisions made in this segment with who made them and when (HH:MM). If there were none, say "No decisions".'
+    },
+    es: {
+      role: 'Extraes las decisiones tomadas en conversaciones de chat.',
+      task: 'Enumera solo las decisiones tomadas en la siguiente conversación de chat.',
+      rules: [
+        'Una línea por decisión: qué se decidió, quién lo decidió o aceptó y cuándo (HH:MM)',
+        'Incluye planes y compromisos acordados, deja fuera la discusión abierta',
+        'Si no se decidió nada, dilo en una frase'
+      ],
+      chunk: 'Enumera las decisiones tomadas en este segmento con quién las tomó y cuándo (HH:MM). Si no hubo ninguna, escribe "Sin decisiones".'
+    },
+    uk: {
+      role: 'Ви виокремлюєте рішення, ухвалені в чат-розмовах.',
+      task: 'Перелічіть лише рішення, ухвалені в наступній чат-розмові.',
+      rules: [
+        'Один рядок на рішення: що вирішили, хто вирішив або погодився і коли (ГГ:ХХ)',
+        'Включайте узгоджені плани та зобов\'язання, пропускайте відкрите обговорення',
+        'Якщо нічого не вирішили, скажіть про це одним реченням'
+      ],
+      chunk: 'Перелічіть рішення, ухвалені в цьому фрагменті, з тим, хто і коли (ГГ:ХХ) їх ухвалив. Якщо рішень не було, напишіть "Рішень немає".'
+    }
+  },
+
+  timeline: {
+    links: true,
+    en: {
+      role: 'You turn chat conversations into a timeline of events.',
+      task: 'Write a timeline of the following chat conversation.',
+      rules: [
+        'One line per event, in chronological order, starting with its time (HH:MM)',
+        'Say who did or said what in a few words',
+        'Merge small talk into the nearest event instead of listing it'
+      ],
+      chunk: 'Write a timeline of this segment: one line per event, starting with its time (HH:MM).'
+    },
+    es: {
+      role: 'Conviertes conversaciones de chat en una cronología de eventos.',
+      task: 'Escribe una cronología de la siguiente conversación de chat.',
+      rules: [
+        'Una línea por evento, en orden cronológico, empezando por su hora (HH:MM)',
+        'Di en pocas palabras quién hizo o dijo qué',
+        'Une la charla trivial al evento más cercano en lugar de enumerarla'
+      ],
+      chunk: 'Escribe una cronología de este segmento: una línea por evento, empezando por su hora (HH:MM).'
+    },
+    uk: {
+      role: 'Ви перетворюєте чат-розмови на хронологію подій.',
+      task: 'Складіть хронологію наступної чат-розмови.',
+      rules: [
+        'Один рядок на подію, у хронологічному порядку, починаючи з часу (ГГ:ХХ)',
+        'Кількома словами вкажіть, хто що зробив чи сказав',
+        'Дрібні балачки приєднуйте до найближчої події, а не перелічуйте окремо'
+      ],
+      chunk: 'Складіть хронологію цього фрагмента: один рядок на подію, починаючи з часу (ГГ:ХХ).'
+    }
+  }
+};
+
+const SUMMARY_STYLES = [...Object.keys(STYLE_TEMPLATES), DEFAULT_STYLE];
+
+function isSummaryStyle(style) {
+  return SUMMARY_STYLES.includes(style);
+}
+
+/**
+ * Instructions for a style in the given language, or null for the detailed
+ * style (and unknown ones), which use the original prompts.
+ */
+function getStyleTemplate(style, language) {
+  const templates = STYLE_TEMPLATES[style];
+  if (!templates) {
+    return null;
+  }
+
+  return { links: templates.links, ...(templates[language] || templates.en) };
+}
+
+module.exports = { DEFAULT_STYLE, SUMMARY_STYLES, isSummaryStyle, getStyleTemplate };
@@ -0,0 +1,128 @@
+/**
+ * In-process counterpart of the FTS5 message search, for text the index can't
+ * see (encrypted messages). Like the index, terms match word prefixes and
+ * matching ignores case and accents.
+ */
+
+// Characters of context kept before the first match in a snippet
+const SNIPPET_LEAD = 30;
+const SNIPPET_LENGTH = 100;
+
+// Question words left out of /ask searches (already folded: lowercase, no accents)
+const STOPWORDS = new Set([
+  // English
+  'the', 'and', 'for', 'are', 'was', 'were', 'did', 'does', 'what', 'when', 'where', 'which', 'who', 'whom',
+  'why', 'how', 'about', 'that', 'this', 'these', 'those', 'with', 'from', 'have', 'has', 'had', 'our', 'your',
+  'their', 'you', 'they', 'any', 'can', 'could', 'should', 'would', 'will', 'there', 'been', 'into', 'then',
+  // Spanish
+  'que', 'qué', 'los', 'las', 'del', 'una', 'uno', 'por', 'para', 'con', 'como', 'cuando', 'donde', 'quien',
+  'cual', 'sobre', 'hay', 'fue', 'han', 'hemos', 'nos', 'nuestro', 'nuestra', 'esta', 'este', 'eso', 'esto',
+  // Ukrainian
+  'що', 'який', 'яка', 'які', 'коли', 'де', 'хто', 'чому', 'як', 'про', 'для', 'між', 'після', 'щодо', 'ми',
+  'ви', 'вони', 'наш', 'наша', 'наші', 'був', 'була', 'були', 'було', 'цей', 'ця', 'це', 'ці', 'чи', 'так'
+].map(word => word.normalize('NFD').replace(/[\u0300-\u036f]/g, '')));
+
+// Longer words are cut to this many characters, so "decided" also finds "decide" and "decision"
+const KEYWORD_STEM_LENGTH = 6;
+const MAX_KEYWORDS = 8;
+
+/**
+ * Lowercases and strips accents one character at a time, remembering where each
+ * folded character came from so matches can be highlighted in the original text.
+ */
+function foldText(text) {
+  let folded = '';
+  const positions = [];
+
+  for (let i = 0; i < text.length; i++) {
+    const foldedChar = text[i].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    for (const char of foldedChar) {
+      folded += char;
+      positions.push(i);
+    }
+  }
+
+  return { folded, positions };
+}
+
+function parseTerms(query) {
+  return foldText((query || '').replace(/"/g, '')).folded.split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Search terms for a natural-language question: its words without question
+ * words and other stopwords, crudely stemmed by cutting long words short.
+ */
+function extractKeywords(question) {
+  const words = foldText(question || '').folded.split(/[^\p{L}\p{N}]+/u);
+  const keywords = words
+    .filter(word => (word.length >= 3 || /\d/.test(word)) && !STOPWORDS.has(word))
+    .map(word => word.slice(0, KEYWORD_STEM_LENGTH));
+
+  return [...new Set(keywords)].slice(0, MAX_KEYWORDS);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Returns null unless every term occurs in the text (any term with matchAll
+ * false); otherwise a score (number of term occurrences), the number of
+ * distinct terms found and a snippet around the first match with matches
+ * wrapped in the given markers.
+ */
+function matchText(text, terms, { snippetStart = '[', snippetEnd = ']', matchAll = true } = {}) {
+  if (!text || terms.length === 0) {
+    return null;
+  }
+
+  const { folded, positions } = foldText(text);
+  const ranges = [];
+  let matched = 0;
+
+  for (const term of terms) {
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${escapeRegExp(term)})`, 'gu');
+    let found = false;
+    let match;
+
+    while ((match = pattern.exec(folded)) !== null) {
+      found = true;
+      const start = match.index + match[1].length;
+      ranges.push([positions[start], positions[start + term.length - 1] + 1]);
+    }
+
+    if (found) {
+      matched++;
+    } else if (matchAll) {
+      return null;
+    }
+  }
+
+  if (ranges.length === 0) {
+    return null;
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  const windowStart = Math.max(0, ranges[0][0] - SNIPPET_LEAD);
+  const windowEnd = Math.min(text.length, windowStart + SNIPPET_LENGTH);
+
+  let snippet = windowStart > 0 ? '…' : '';
+  let cursor = windowStart;
+
+  for (const [start, end] of ranges) {
+    // Skip overlapping matches and those outside the snippet window
+    if (start < cursor || end > windowEnd) {
+      continue;
+    }
+    snippet += text.slice(cursor, start) + snippetStart + text.slice(start, end) + snippetEnd;
+    cursor = end;
+  }
+
+  snippet += text.slice(cursor, windowEnd) + (windowEnd < text.length ? '…' : '');
+
+  return { score: ranges.length, matched, snippet };
+}
+
+module.exports = { parseTerms, matchText, extractKeywords };
@@ -0,0 +1,69 @@
+/**
+ * Token counting for prompt budgeting. OpenAI models are counted with their
+ * own BPE encoding; models without a public tokenizer (Claude, local models)
+ * are counted with cl100k_base plus a safety margin, which is still far closer
+ * than a characters-per-token guess for Cyrillic, CJK or Arabic text.
+ */
+const { Tiktoken } = require('js-tiktoken/lite');
+
+// Rank tables are several megabytes each, so they are only loaded when first needed
+const RANKS = {
+  o200k_base: () => require('js-tiktoken/ranks/o200k_base'),
+  cl100k_base: () => require('js-tiktoken/ranks/cl100k_base')
+};
+
+const APPROXIMATION_MARGIN = 1.2;
+
+// Context windows in tokens by model name, first match wins. Unknown models
+// (local ones behind an OpenAI-compatible server, say) get the small default.
+const CONTEXT_WINDOWS = [
+  [/^gpt-4\.1/, 1047576],
+  [/^gpt-5/, 400000],
+  [/^(o[134]|claude)/, 200000],
+  [/^(gpt-4o|chatgpt-4o|gpt-4-turbo|gpt-4-\d{4}-preview)/, 128000],
+  [/^gpt-4-32k/, 32768],
+  [/^gpt-4/, 8192],
+  [/^gpt-3\.5-turbo-instruct/, 4096],
+  [/^gpt-3\.5/, 16385]
+];
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+const encoders = new Map();
+
+function getEncodingName(model) {
+  const name = (model || '').toLowerCase();
+  // Newer OpenAI models (gpt-4o, gpt-4.1, o1/o3/o4, gpt-5) use o200k_base
+  if (/^(gpt-4o|gpt-4\.\d|gpt-5|chatgpt-4o|o\d)/.test(name)) {
+    return 'o200k_base';
+  }
+  return 'cl100k_base';
+}
+
+function isExactTokenizer(model) {
+  return /^(gpt-|chatgpt-|o\d)/.test((model || '').toLowerCase());
+}
+
+function getContextWindow(model) {
+  const name = (model || '').toLowerCase();
+  const match = CONTEXT_WINDOWS.find(([pattern]) => pattern.test(name));
+  return match ? match[1] : DEFAULT_CONTEXT_WINDOW;
+}
+
+function getEncoder(encodingName) {
+  if (!encoders.has(encodingName)) {
+    encoders.set(encodingName, new Tiktoken(RANKS[encodingName]()));
+  }
+  return encoders.get(encodingName);
+}
+
+function countTokens(text, model) {
+  if (!text) {
+    return 0;
+  }
+
+  // Chat text may contain strings like "<|endoftext|>"; count them as plain text instead of throwing
+  const tokens = getEncoder(getEncodingName(model)).encode(text, [], []).length;
+  return isExactTokenizer(model) ? tokens : Math.ceil(tokens * APPROXIMATION_MARGIN);
+}
+
+module.exports = { countTokens, getContextWindow, getEncodingName, isExactTokenizer };
@@ -15,11 +15,21 @@ const requiredFiles = [
   'src/database.js',
   'src/commandHandler.js',
   'src/messageHandler.js',
+  'src/messageBuffer.js',
+  'src/exportImporter.js',
+  'src/encryption.js',
+  'src/backupService.js',
+  'migrations/restore_backup.js',
   'src/summaryService.js',
+  'src/tokenizer.js',
+  'src/providers/index.js',
   'src/scheduler.js',
   'src/logger.js',
   'migrations/init.js',
-  'migrations/add_timezone_column.js',
+  'migrations/migrate.js',
+  'src/migrator.js',
+  'src/migrations/001_initial_schema.js',
+  'migrations/import_telegram_export.js',
   'Dockerfile',
   'docker-compose.yml',
   '.dockerignore'
@@ -53,7 +63,7 @@ try {
     allTestsPassed = false;
   }
   
-  const requiredDeps = ['node-telegram-bot-api', 'openai', 'sqlite3', 'moment-timezone', 'winston'];
+  const requiredDeps = ['node-telegram-bot-api', 'openai', 'sqlite3', 'moment-timezone', 'winston', 'js-tiktoken'];
   requiredDeps.forEach(dep => {
     if (packageJson.dependencies[dep]) {
       console.log(`  ✅ ${dep} dependency found`);
@@ -102,10 +112,23 @@ if (fs.existsSync('.env')) {
     allTestsPassed = false;
   }
   
-  if (envContent.includes('OPENAI_API_KEY=')) {
-    console.log('  ✅ OPENAI_API_KEY is configured');
+  // Each provider needs its own credentials; OpenAI is the default
+  const providerMatch = /^AI_PROVIDER=(.+)$/m.exec(envContent);
+  const provider = providerMatch ? providerMatch[1].trim() : 'openai';
+  const providerKeys = {
+    'openai': 'OPENAI_API_KEY=',
+    'openai-compatible': 'OPENAI_COMPATIBLE_BASE_URL=',
+    'anthropic': 'ANTHROPIC_API_KEY='
+  };
+  const requiredKey = providerKeys[provider];
+
+  if (!requiredKey) {
+    console.log(`  ❌ Unknown AI_PROVIDER: ${provider}`);
+    allTestsPassed = false;
+  } else if (new RegExp(`^${requiredKey}`, 'm').test(envContent)) {
+    console.log(`  ✅ ${requiredKey.slice(0, -1)} is configured (AI provider: ${provider})`);
   } else {
-    console.log('  ❌ OPENAI_API_KEY is missing');
+    console.log(`  ❌ ${requiredKey.slice(0, -1)} is missing (AI provider: ${provider})`);
     allTestsPassed = false;
   }
 } else {